@@ -1,900 +1,7153 @@
 // test-server.js - Complete Traffic Cop API Server with Advanced Features
 const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const net = require('net');
+const tls = require('tls');
 
-// Simple in-memory storage for testing
-const sessions = new Map();
-const apiKeys = new Map([
-    ['tc_test_123', { id: 'test_pub', name: 'Test Publisher' }],
-    ['tc_demo_publisher_123', { id: 'demo_pub', name: 'Demo Publisher' }],
-    ['tc_enterprise_456', { id: 'enterprise_pub', name: 'Enterprise Publisher' }]
-]);
+const DATA_DIR = process.env.TRAFFIC_COP_DATA_DIR || path.join(__dirname, '..', 'data');
+const IS_PRODUCTION = process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
 
-// Advanced Analytics Engine
-class AdvancedAnalytics {
+// Secrets fall back to development defaults only outside production; a production
+// deploy without them refuses to start rather than run with publicly known values
+function requireSecret(name, developmentDefault) {
+    if (process.env[name]) return process.env[name];
+    if (IS_PRODUCTION) throw new Error(`${name} must be set in production`);
+    return developmentDefault;
+}
+
+// Storage backend: 'file' (append-only log, survives restarts) or 'memory'
+const STORAGE_DRIVER = process.env.TRAFFIC_COP_STORAGE || (process.env.VERCEL ? 'memory' : 'file');
+const STORAGE_PATH = process.env.TRAFFIC_COP_STORAGE_PATH || path.join(DATA_DIR, 'store', 'traffic-cop.jsonl');
+const SESSION_TTL_MS = (parseFloat(process.env.TRAFFIC_COP_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Feature snapshots outlive sessions so late labels (chargebacks, IVT refunds) can still train the model
+const FEATURE_RETENTION_MS = (parseFloat(process.env.TRAFFIC_COP_FEATURE_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+// In-memory storage: namespaced key/value entries with optional TTL
+class MemoryStorage {
     constructor() {
-        this.metrics = {
-            realTimeData: [],
-            hourlyStats: Array(24).fill().map((_, i) => ({ hour: i, requests: 0, blocked: 0, avgLatency: 0 })),
-            dailyStats: [],
-            geographicData: new Map(),
-            threatIntelligence: [],
-            performanceMetrics: {
-                avgResponseTime: 0,
-                p95ResponseTime: 0,
-                errorRate: 0,
-                throughput: 0
-            }
-        };
-        this.startRealTimeCollection();
-    }
-    
-    recordRequest(analysis, responseTime, clientIP) {
-        const timestamp = Date.now();
-        const hour = new Date().getHours();
-        
-        // Real-time data (keep last 1000 requests)
-        this.metrics.realTimeData.push({
-            timestamp,
-            sessionId: analysis.sessionId,
-            riskScore: analysis.riskScore,
-            action: analysis.action,
-            responseTime,
-            clientIP,
-            threats: analysis.threats
-        });
-        
-        if (this.metrics.realTimeData.length > 1000) {
-            this.metrics.realTimeData.shift();
-        }
-        
-        // Hourly stats
-        this.metrics.hourlyStats[hour].requests++;
-        if (analysis.action === 'block') {
-            this.metrics.hourlyStats[hour].blocked++;
-        }
-        
-        // Update performance metrics
-        this.updatePerformanceMetrics(responseTime, analysis.action === 'block');
-        
-        // Geographic data
-        this.updateGeographicData(clientIP, analysis);
-        
-        // Threat intelligence
-        if (analysis.threats.length > 0) {
-            this.recordThreat(analysis, clientIP);
-        }
-    }
-    
-    updatePerformanceMetrics(responseTime, isBlocked) {
-        const recentRequests = this.metrics.realTimeData.slice(-100);
-        
-        // Average response time
-        const avgTime = recentRequests.reduce((sum, req) => sum + req.responseTime, 0) / recentRequests.length;
-        this.metrics.performanceMetrics.avgResponseTime = Math.round(avgTime);
-        
-        // P95 response time
-        const sortedTimes = recentRequests.map(r => r.responseTime).sort((a, b) => a - b);
-        const p95Index = Math.floor(sortedTimes.length * 0.95);
-        this.metrics.performanceMetrics.p95ResponseTime = sortedTimes[p95Index] || 0;
-        
-        // Error rate (blocked requests as errors)
-        const blockedCount = recentRequests.filter(r => r.action === 'block').length;
-        this.metrics.performanceMetrics.errorRate = (blockedCount / recentRequests.length) * 100;
+        this.namespaces = new Map();
         
-        // Throughput (requests per minute)
-        const oneMinuteAgo = Date.now() - 60000;
-        const recentMinute = this.metrics.realTimeData.filter(r => r.timestamp > oneMinuteAgo);
-        this.metrics.performanceMetrics.throughput = recentMinute.length;
+        // Sweep expired entries (sessions) once a minute
+        setInterval(() => this.evictExpired(), 60000).unref();
     }
     
-    updateGeographicData(clientIP, analysis) {
-        // Simulate geographic data based on IP
-        const geoData = this.getGeoFromIP(clientIP);
-        
-        if (!this.metrics.geographicData.has(geoData.country)) {
-            this.metrics.geographicData.set(geoData.country, {
-                country: geoData.country,
-                code: geoData.code,
-                requests: 0,
-                blocked: 0,
-                avgRisk: 0,
-                totalRisk: 0
-            });
-        }
-        
-        const countryData = this.metrics.geographicData.get(geoData.country);
-        countryData.requests++;
-        countryData.totalRisk += analysis.riskScore;
-        countryData.avgRisk = countryData.totalRisk / countryData.requests;
-        
-        if (analysis.action === 'block') {
-            countryData.blocked++;
+    getNamespace(namespace) {
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, new Map());
         }
+        return this.namespaces.get(namespace);
     }
     
-    getGeoFromIP(ip) {
-        // Simulate geographic lookup
-        const countries = ['US', 'GB', 'DE', 'FR', 'CN', 'RU', 'IN', 'BR', 'JP', 'AU'];
-        const countryNames = {
-            'US': 'United States', 'GB': 'United Kingdom', 'DE': 'Germany',
-            'FR': 'France', 'CN': 'China', 'RU': 'Russia', 'IN': 'India',
-            'BR': 'Brazil', 'JP': 'Japan', 'AU': 'Australia'
-        };
-        
-        const code = countries[Math.floor(Math.random() * countries.length)];
-        return { country: countryNames[code], code: code };
+    isExpired(entry, now = Date.now()) {
+        return entry.expiresAt !== null && entry.expiresAt <= now;
     }
     
-    recordThreat(analysis, clientIP) {
-        this.metrics.threatIntelligence.push({
-            timestamp: Date.now(),
-            sessionId: analysis.sessionId,
-            clientIP: clientIP,
-            threats: analysis.threats,
-            riskScore: analysis.riskScore,
-            action: analysis.action
-        });
+    get(namespace, key) {
+        const entries = this.getNamespace(namespace);
+        const entry = entries.get(key);
+        if (!entry) return undefined;
         
-        // Keep only last 500 threats
-        if (this.metrics.threatIntelligence.length > 500) {
-            this.metrics.threatIntelligence.shift();
+        if (this.isExpired(entry)) {
+            entries.delete(key);
+            return undefined;
         }
+        return entry.value;
     }
     
-    startRealTimeCollection() {
-        // Simulate real-time data updates
-        setInterval(() => {
-            this.generatePredictiveInsights();
-        }, 30000); // Every 30 seconds
+    set(namespace, key, value, { ttlMs = null } = {}) {
+        const entry = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+        this.getNamespace(namespace).set(key, entry);
+        this.onWrite({ op: 'set', ns: namespace, key, value, expiresAt: entry.expiresAt });
     }
     
-    generatePredictiveInsights() {
-        const recentData = this.metrics.realTimeData.slice(-100);
-        
-        // Predict traffic spikes
-        const currentHour = new Date().getHours();
-        const historicalAvg = this.metrics.hourlyStats[currentHour].requests / 30; // 30 days avg
-        const currentRate = recentData.length;
-        
-        if (currentRate > historicalAvg * 1.5) {
-            console.log('🚨 Traffic spike detected - scaling recommended');
-        }
-        
-        // Predict attack patterns
-        const recentThreats = this.metrics.threatIntelligence.filter(t => 
-            Date.now() - t.timestamp < 300000 // Last 5 minutes
-        );
-        
-        if (recentThreats.length > 10) {
-            console.log('🚨 Potential coordinated attack detected');
-        }
+    delete(namespace, key) {
+        const existed = this.getNamespace(namespace).delete(key);
+        if (existed) this.onWrite({ op: 'del', ns: namespace, key });
+        return existed;
     }
     
-    getAdvancedMetrics() {
-        return {
-            realTime: {
-                currentThroughput: this.metrics.performanceMetrics.throughput,
-                avgLatency: this.metrics.performanceMetrics.avgResponseTime,
-                errorRate: this.metrics.performanceMetrics.errorRate,
-                activeThreats: this.metrics.threatIntelligence.filter(t => 
-                    Date.now() - t.timestamp < 300000
-                ).length
-            },
-            trends: {
-                hourlyStats: this.metrics.hourlyStats,
-                topCountries: Array.from(this.metrics.geographicData.values())
-                    .sort((a, b) => b.requests - a.requests)
-                    .slice(0, 10),
-                threatTrends: this.getThreatTrends()
-            },
-            predictions: {
-                nextHourTraffic: this.predictNextHourTraffic(),
-                riskForecast: this.predictRiskLevel(),
-                capacityRecommendation: this.getCapacityRecommendation()
-            }
-        };
+    entries(namespace) {
+        const now = Date.now();
+        const live = [];
+        this.getNamespace(namespace).forEach((entry, key) => {
+            if (!this.isExpired(entry, now)) live.push([key, entry.value]);
+        });
+        return live;
     }
     
-    getThreatTrends() {
-        const threatTypes = {};
-        this.metrics.threatIntelligence.forEach(threat => {
-            threat.threats.forEach(type => {
-                threatTypes[type] = (threatTypes[type] || 0) + 1;
+    evictExpired() {
+        const now = Date.now();
+        let evicted = 0;
+        this.namespaces.forEach(entries => {
+            entries.forEach((entry, key) => {
+                if (this.isExpired(entry, now)) {
+                    entries.delete(key);
+                    evicted++;
+                }
             });
         });
-        
-        return Object.entries(threatTypes)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([type, count]) => ({ type, count }));
+        return evicted;
     }
     
-    predictNextHourTraffic() {
-        const currentHour = new Date().getHours();
-        const nextHour = (currentHour + 1) % 24;
-        const historicalAvg = this.metrics.hourlyStats[nextHour].requests / 30;
-        const currentTrend = this.metrics.performanceMetrics.throughput * 60; // Convert to hourly
-        
-        return Math.round((historicalAvg + currentTrend) / 2);
-    }
+    // Hook for durable implementations
+    onWrite(operation) {}
     
-    predictRiskLevel() {
-        const recentRisks = this.metrics.realTimeData.slice(-50).map(r => r.riskScore);
-        const avgRisk = recentRisks.reduce((a, b) => a + b, 0) / recentRisks.length;
-        
-        if (avgRisk > 60) return 'HIGH';
-        if (avgRisk > 30) return 'MEDIUM';
-        return 'LOW';
+    scope(prefix) {
+        return new ScopedStorage(this, prefix);
     }
     
-    getCapacityRecommendation() {
-        const currentLoad = this.metrics.performanceMetrics.throughput;
-        const avgLatency = this.metrics.performanceMetrics.avgResponseTime;
-        
-        if (avgLatency > 100 || currentLoad > 1000) {
-            return 'SCALE_UP';
-        } else if (avgLatency < 30 && currentLoad < 100) {
-            return 'SCALE_DOWN';
-        }
-        return 'OPTIMAL';
+    collection(namespace, options) {
+        return new StoredCollection(this, namespace, options);
     }
 }
 
-// Machine Learning Threat Detection Engine
-class MLThreatDetection {
-    constructor() {
-        this.model = {
-            weights: {
-                userAgent: 0.25,
-                screenResolution: 0.15,
-                geographic: 0.20,
-                behavioral: 0.25,
-                temporal: 0.15
-            },
-            thresholds: {
-                bot: 0.8,
-                suspicious: 0.6,
-                normal: 0.3
-            },
-            learningRate: 0.01
-        };
-        this.trainingData = [];
-        this.featureExtractor = new FeatureExtractor();
-    }
-    
-    analyzeWithML(visitorData, behavioralData = {}) {
-        const features = this.featureExtractor.extract(visitorData, behavioralData);
-        const riskScore = this.calculateRiskScore(features);
-        const confidence = this.calculateConfidence(features);
-        const threatVector = this.identifyThreatVector(features);
+// Durable storage: writes are appended to a JSON-lines log that is replayed at
+// startup and compacted once it is mostly dead entries. Writes are batched:
+// only the latest operation per key is kept and the batch is appended every
+// FILE_STORAGE_FLUSH_MS (and on exit), so a busy key costs one line per batch
+// and requests never wait on the disk. A crash loses at most the open batch.
+const FILE_STORAGE_FLUSH_MS = 1000;
+
+class FileStorage extends MemoryStorage {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.operationsSinceCompaction = 0;
+        this.bytesSinceCompaction = 0;
+        this.replaying = false;
+        this.pending = new Map();
+        this.flushTimer = null;
+        this.compacting = false;
         
-        return {
-            mlRiskScore: riskScore,
-            confidence: confidence,
-            threatVector: threatVector,
-            features: features,
-            recommendation: this.getRecommendation(riskScore, confidence)
-        };
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.replay();
+        process.on('exit', () => this.flush({ force: true }));
     }
     
-    calculateRiskScore(features) {
-        let score = 0;
-        
-        // User Agent Analysis
-        score += features.userAgentSuspicion * this.model.weights.userAgent;
+    replay() {
+        if (!fs.existsSync(this.filePath)) return;
         
-        // Device Fingerprint Analysis
-        score += features.deviceSuspicion * this.model.weights.screenResolution;
+        this.replaying = true;
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        let applied = 0;
         
-        // Geographic Risk
-        score += features.geographicRisk * this.model.weights.geographic;
-        
-        // Behavioral Analysis
-        score += features.behavioralRisk * this.model.weights.behavioral;
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            
+            let operation;
+            try {
+                operation = JSON.parse(line);
+            } catch (error) {
+                // A torn final write from a crash; everything before it is intact
+                return;
+            }
+            
+            if (operation.op === 'set') {
+                this.getNamespace(operation.ns).set(operation.key, {
+                    value: operation.value,
+                    expiresAt: operation.expiresAt
+                });
+            } else if (operation.op === 'del') {
+                this.getNamespace(operation.ns).delete(operation.key);
+            }
+            applied++;
+        });
         
-        // Temporal Analysis
-        score += features.temporalRisk * this.model.weights.temporal;
+        this.replaying = false;
+        this.evictExpired();
+        this.operationsSinceCompaction = applied;
+        console.log(`💾 Restored ${applied} storage operations from ${this.filePath}`);
         
-        return Math.min(Math.max(score * 100, 0), 100);
+        this.maybeCompact();
     }
     
-    calculateConfidence(features) {
-        // Calculate confidence based on feature consistency
-        const featureValues = Object.values(features);
-        const mean = featureValues.reduce((a, b) => a + b, 0) / featureValues.length;
-        const variance = featureValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / featureValues.length;
+    onWrite(operation) {
+        if (this.replaying) return;
         
-        // Lower variance = higher confidence
-        return Math.max(0, Math.min(100, 100 - (variance * 100)));
+        // A later write to the same key supersedes an unflushed one
+        this.pending.set(`${operation.ns}\u0000${operation.key}`, operation);
+        
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), FILE_STORAGE_FLUSH_MS);
+            this.flushTimer.unref();
+        }
     }
     
-    identifyThreatVector(features) {
-        const vectors = [];
+    // Values are serialized now, so a batch records each key's latest state.
+    // While a compaction is being written the batch waits, unless the process is exiting
+    flush({ force = false } = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.pending.size === 0 || (this.compacting && !force)) return;
         
-        if (features.userAgentSuspicion > 0.7) vectors.push('Automated Browser');
-        if (features.deviceSuspicion > 0.6) vectors.push('Virtual Environment');
-        if (features.geographicRisk > 0.8) vectors.push('High-Risk Location');
-        if (features.behavioralRisk > 0.7) vectors.push('Abnormal Behavior');
-        if (features.temporalRisk > 0.6) vectors.push('Suspicious Timing');
+        const data = Array.from(this.pending.values()).map(operation => JSON.stringify(operation) + '\n').join('');
+        this.operationsSinceCompaction += this.pending.size;
+        this.bytesSinceCompaction += data.length;
+        this.pending.clear();
+        fs.appendFileSync(this.filePath, data);
         
-        return vectors.length > 0 ? vectors : ['Low Risk'];
+        if (!force) this.maybeCompact();
     }
     
-    getRecommendation(riskScore, confidence) {
-        if (riskScore > 80 && confidence > 70) {
-            return { action: 'BLOCK', reason: 'High risk with high confidence' };
-        } else if (riskScore > 60) {
-            return { action: 'CHALLENGE', reason: 'Medium risk detected' };
-        } else if (riskScore > 30) {
-            return { action: 'MONITOR', reason: 'Low risk - continue monitoring' };
-        } else {
-            return { action: 'ALLOW', reason: 'Normal traffic pattern' };
-        }
+    countLiveEntries() {
+        let count = 0;
+        this.namespaces.forEach(entries => count += entries.size);
+        return count;
     }
     
-    learn(visitorData, actualOutcome) {
-        // Add to training data
-        this.trainingData.push({
-            features: this.featureExtractor.extract(visitorData),
-            outcome: actualOutcome
-        });
-        
-        // Retrain model periodically
-        if (this.trainingData.length % 100 === 0) {
-            this.retrainModel();
+    maybeCompact() {
+        const live = this.countLiveEntries();
+        if (this.operationsSinceCompaction > Math.max(10000, live * 2) ||
+            this.bytesSinceCompaction > 16 * 1024 * 1024) {
+            this.compact();
         }
     }
     
-    retrainModel() {
-        // Simple gradient descent for weight adjustment
-        const learningRate = this.model.learningRate;
+    // Rewrite the log with one 'set' per live entry. Writes made while it is on
+    // its way to disk are held back and appended to the new log afterwards
+    // (repeating a write the snapshot already has is harmless)
+    compact() {
+        if (this.compacting) return;
+        this.evictExpired();
         
-        this.trainingData.slice(-500).forEach(sample => {
-            const predicted = this.calculateRiskScore(sample.features) / 100;
-            const actual = sample.outcome === 'block' ? 1 : 0;
-            const error = predicted - actual;
-            
-            // Adjust weights based on error
-            Object.keys(this.model.weights).forEach(key => {
-                if (sample.features[key + 'Risk'] !== undefined) {
-                    this.model.weights[key] -= learningRate * error * sample.features[key + 'Risk'];
-                }
+        const tempPath = this.filePath + '.tmp';
+        const lines = [];
+        this.namespaces.forEach((entries, namespace) => {
+            entries.forEach((entry, key) => {
+                lines.push(JSON.stringify({ op: 'set', ns: namespace, key, value: entry.value, expiresAt: entry.expiresAt }));
             });
         });
         
-        // Normalize weights
-        const totalWeight = Object.values(this.model.weights).reduce((a, b) => a + b, 0);
-        Object.keys(this.model.weights).forEach(key => {
-            this.model.weights[key] /= totalWeight;
-        });
+        this.compacting = true;
+        fs.promises.writeFile(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '')
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .then(() => {
+                this.operationsSinceCompaction = lines.length;
+                this.bytesSinceCompaction = 0;
+            })
+            .catch(error => console.warn(`⚠️ Storage compaction failed: ${error.message}`))
+            .finally(() => {
+                this.compacting = false;
+                this.flush();
+            });
     }
 }
 
-// Feature Extraction Engine
-class FeatureExtractor {
-    extract(visitorData, behavioralData = {}) {
-        return {
-            userAgentSuspicion: this.analyzeUserAgent(visitorData.userAgent),
-            deviceSuspicion: this.analyzeDevice(visitorData),
-            geographicRisk: this.analyzeGeography(visitorData),
-            behavioralRisk: this.analyzeBehavior(behavioralData),
+// A view of a storage backend with every namespace prefixed (one per publisher)
+class ScopedStorage {
+    constructor(storage, prefix) {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+    
+    get(namespace, key) {
+        return this.storage.get(`${this.prefix}:${namespace}`, key);
+    }
+    
+    set(namespace, key, value, options) {
+        this.storage.set(`${this.prefix}:${namespace}`, key, value, options);
+    }
+    
+    delete(namespace, key) {
+        return this.storage.delete(`${this.prefix}:${namespace}`, key);
+    }
+    
+    entries(namespace) {
+        return this.storage.entries(`${this.prefix}:${namespace}`);
+    }
+    
+    collection(namespace, options) {
+        return new StoredCollection(this, namespace, options);
+    }
+}
+
+// Map-like view over one storage namespace, so callers keep using get/set/values
+class StoredCollection {
+    constructor(storage, namespace, { ttlMs = null } = {}) {
+        this.storage = storage;
+        this.namespace = namespace;
+        this.ttlMs = ttlMs;
+    }
+    
+    get(key) {
+        return this.storage.get(this.namespace, key);
+    }
+    
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+    
+    set(key, value) {
+        this.storage.set(this.namespace, key, value, { ttlMs: this.ttlMs });
+        return this;
+    }
+    
+    delete(key) {
+        return this.storage.delete(this.namespace, key);
+    }
+    
+    get size() {
+        return this.storage.entries(this.namespace).length;
+    }
+    
+    keys() {
+        return this.storage.entries(this.namespace).map(([key]) => key);
+    }
+    
+    values() {
+        return this.storage.entries(this.namespace).map(([, value]) => value);
+    }
+    
+    entries() {
+        return this.storage.entries(this.namespace);
+    }
+    
+    forEach(callback) {
+        this.storage.entries(this.namespace).forEach(([key, value]) => callback(value, key, this));
+    }
+    
+    [Symbol.iterator]() {
+        return this.entries()[Symbol.iterator]();
+    }
+}
+
+function createStorage() {
+    if (STORAGE_DRIVER === 'memory') return new MemoryStorage();
+    
+    try {
+        return new FileStorage(STORAGE_PATH);
+    } catch (error) {
+        console.warn(`⚠️ File storage unavailable (${STORAGE_PATH}): ${error.message} - falling back to memory`);
+        return new MemoryStorage();
+    }
+}
+
+const storage = createStorage();
+
+// Publishers known to this server
+const publishers = new Map([
+    ['test_pub', { id: 'test_pub', name: 'Test Publisher', plan: 'free' }],
+    ['demo_pub', { id: 'demo_pub', name: 'Demo Publisher', plan: 'free' }],
+    ['enterprise_pub', { id: 'enterprise_pub', name: 'Enterprise Publisher', plan: 'enterprise' }],
+    ['platform_admin', { id: 'platform_admin', name: 'Platform Admin', plan: 'enterprise', role: 'admin' }]
+]);
+
+// Plans: monthly analyze quota per publisher and token-bucket limits per API key
+const PLANS = {
+    free: { monthlyQuota: 10000, rateLimit: { burst: 20, perSecond: 5 } },
+    pro: { monthlyQuota: 1000000, rateLimit: { burst: 200, perSecond: 50 } },
+    enterprise: { monthlyQuota: 10000000, rateLimit: { burst: 1000, perSecond: 250 } }
+};
+
+// Per client IP limit, shared across all keys
+const IP_RATE_LIMIT = {
+    burst: parseInt(process.env.TRAFFIC_COP_IP_RATE_BURST, 10) || 30,
+    perSecond: parseFloat(process.env.TRAFFIC_COP_IP_RATE_PER_SECOND) || 1
+};
+
+// API key scopes: public SDK keys only analyze, backend keys read analytics, verify verdicts, submit feedback or administer
+const API_KEY_SCOPES = ['analyze', 'read-analytics', 'verify', 'feedback', 'admin'];
+const API_KEY_PEPPER = requireSecret('TRAFFIC_COP_KEY_PEPPER', 'traffic-cop-dev-pepper');
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+// Stream tokens only need to live long enough to open an EventSource
+const STREAM_TOKEN_TTL_SECONDS = 60;
+const MAX_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+// API Key Store - keys are kept only as peppered hashes
+class APIKeyStore {
+    constructor(store) {
+        this.store = store;
+        this.keysByHash = new Map();
+        this.keysById = new Map();
+        
+        this.store.entries('apiKeys').forEach(([id, record]) => {
+            this.keysByHash.set(record.hash, record);
+            this.keysById.set(id, record);
+        });
+    }
+    
+    save(record) {
+        this.store.set('apiKeys', record.id, record);
+    }
+    
+    hash(rawKey) {
+        return crypto.createHmac('sha256', API_KEY_PEPPER).update(rawKey).digest('hex');
+    }
+    
+    generateRawKey(type) {
+        return `tc_${type === 'public' ? 'pk' : 'sk'}_${crypto.randomBytes(18).toString('hex')}`;
+    }
+    
+    add(rawKey, { publisherId, name, type, scopes }) {
+        const record = {
+            id: 'key_' + crypto.randomBytes(8).toString('hex'),
+            publisherId,
+            name: name || (type === 'public' ? 'SDK key' : 'Backend key'),
+            type,
+            scopes: [...scopes],
+            prefix: rawKey.substring(0, 10),
+            hash: this.hash(rawKey),
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            expiresAt: null,
+            revokedAt: null,
+            rotatedTo: null
+        };
+        
+        this.keysByHash.set(record.hash, record);
+        this.keysById.set(record.id, record);
+        this.save(record);
+        return record;
+    }
+    
+    // Built-in keys are only added once, so a revoked seed key stays revoked across restarts;
+    // type and scopes always follow the seed, so narrowing them applies to existing stores
+    seed(rawKey, options) {
+        const existing = this.keysByHash.get(this.hash(rawKey));
+        if (!existing) {
+            this.add(rawKey, options);
+            return;
+        }
+        
+        if (existing.type !== options.type || existing.scopes.join(',') !== options.scopes.join(',')) {
+            existing.type = options.type;
+            existing.scopes = [...options.scopes];
+            this.save(existing);
+        }
+    }
+    
+    // Revoke a built-in key that is no longer seeded
+    retire(rawKey) {
+        const existing = this.keysByHash.get(this.hash(rawKey));
+        if (existing) this.revoke(existing.id);
+    }
+    
+    create(publisherId, { name, type = 'secret', scopes } = {}) {
+        const rawKey = this.generateRawKey(type);
+        const record = this.add(rawKey, {
+            publisherId,
+            name,
+            type,
+            scopes: scopes || (type === 'public' ? ['analyze'] : ['read-analytics', 'verify'])
+        });
+        return { rawKey, record };
+    }
+    
+    verify(rawKey) {
+        const record = this.keysByHash.get(this.hash(rawKey));
+        if (!record || !this.isActive(record)) return null;
+        
+        // Persist last-used at most once a minute rather than on every request
+        const now = Date.now();
+        const shouldSave = !record.lastUsedAt || now - record.lastUsedAt > 60000;
+        record.lastUsedAt = now;
+        if (shouldSave) this.save(record);
+        return record;
+    }
+    
+    // EventSource cannot send headers, so streams take a short-lived token in the URL
+    // instead of the key itself: query strings end up in logs and browser history
+    signStreamToken(id, expiresAt) {
+        return crypto.createHmac('sha256', API_KEY_PEPPER).update(`stream:${id}:${expiresAt}`).digest('hex');
+    }
+    
+    issueStreamToken(record) {
+        const expiresAt = Date.now() + STREAM_TOKEN_TTL_SECONDS * 1000;
+        return { token: `${record.id}.${expiresAt}.${this.signStreamToken(record.id, expiresAt)}`, expiresAt };
+    }
+    
+    verifyStreamToken(token) {
+        const [id, expiresAt, signature] = String(token).split('.');
+        if (!id || !signature || !(Number(expiresAt) > Date.now())) return null;
+        
+        const expected = Buffer.from(this.signStreamToken(id, expiresAt));
+        const provided = Buffer.from(signature);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+        
+        const record = this.get(id);
+        return record && this.isActive(record) ? record : null;
+    }
+    
+    isActive(record) {
+        if (record.revokedAt) return false;
+        if (record.expiresAt && record.expiresAt <= Date.now()) return false;
+        return true;
+    }
+    
+    get(id) {
+        return this.keysById.get(id) || null;
+    }
+    
+    list(publisherId) {
+        return Array.from(this.keysById.values()).filter(record => record.publisherId === publisherId);
+    }
+    
+    // Issue a replacement key; the old one keeps working until the grace period ends
+    rotate(id, gracePeriodSeconds = DEFAULT_ROTATION_GRACE_SECONDS) {
+        const record = this.get(id);
+        if (!record || !this.isActive(record)) return null;
+        
+        const { rawKey, record: replacement } = this.create(record.publisherId, {
+            name: record.name,
+            type: record.type,
+            scopes: record.scopes
+        });
+        
+        const grace = Math.min(Math.max(gracePeriodSeconds, 0), MAX_ROTATION_GRACE_SECONDS);
+        record.expiresAt = Date.now() + grace * 1000;
+        record.rotatedTo = replacement.id;
+        this.save(record);
+        
+        return { rawKey, record: replacement, previous: record };
+    }
+    
+    revoke(id) {
+        const record = this.get(id);
+        if (!record) return null;
+        
+        record.revokedAt = record.revokedAt || Date.now();
+        this.save(record);
+        return record;
+    }
+    
+    // Public view of a key record (never exposes the hash)
+    describe(record) {
+        return {
+            id: record.id,
+            publisherId: record.publisherId,
+            name: record.name,
+            type: record.type,
+            scopes: record.scopes,
+            prefix: record.prefix,
+            status: record.revokedAt ? 'revoked' : (this.isActive(record) ? (record.expiresAt ? 'expiring' : 'active') : 'expired'),
+            createdAt: new Date(record.createdAt).toISOString(),
+            lastUsedAt: record.lastUsedAt ? new Date(record.lastUsedAt).toISOString() : null,
+            expiresAt: record.expiresAt ? new Date(record.expiresAt).toISOString() : null,
+            revokedAt: record.revokedAt ? new Date(record.revokedAt).toISOString() : null,
+            rotatedTo: record.rotatedTo
+        };
+    }
+}
+
+const apiKeys = new APIKeyStore(storage);
+// The built-in keys appear in the demo pages and this source, so they are public SDK keys.
+// Backend keys are created through /api/v1/keys with the platform admin key from the environment.
+apiKeys.seed('tc_test_123', { publisherId: 'test_pub', name: 'Test key', type: 'public', scopes: ['analyze'] });
+apiKeys.seed('tc_demo_publisher_123', { publisherId: 'demo_pub', name: 'Demo key', type: 'public', scopes: ['analyze'] });
+apiKeys.seed('tc_enterprise_456', { publisherId: 'enterprise_pub', name: 'Enterprise key', type: 'public', scopes: ['analyze'] });
+apiKeys.retire('tc_admin_789');
+if (process.env.TRAFFIC_COP_ADMIN_KEY) {
+    apiKeys.seed(process.env.TRAFFIC_COP_ADMIN_KEY, { publisherId: 'platform_admin', name: 'Platform admin key', type: 'secret', scopes: API_KEY_SCOPES });
+}
+
+// Token Bucket Rate Limiter
+class TokenBucketLimiter {
+    constructor() {
+        this.buckets = new Map();
+        
+        // Drop buckets that have refilled completely; they carry no state
+        setInterval(() => this.prune(), 60000).unref();
+    }
+    
+    take(id, { burst, perSecond }) {
+        const now = Date.now();
+        let bucket = this.buckets.get(id);
+        
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now, burst, perSecond };
+            this.buckets.set(id, bucket);
+        }
+        
+        // Refill since last request
+        bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+        bucket.updatedAt = now;
+        bucket.burst = burst;
+        bucket.perSecond = perSecond;
+        
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+        
+        return {
+            allowed,
+            limit: burst,
+            remaining: Math.floor(bucket.tokens),
+            resetSeconds: Math.ceil((burst - bucket.tokens) / perSecond),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / perSecond)
+        };
+    }
+    
+    prune() {
+        const now = Date.now();
+        this.buckets.forEach((bucket, id) => {
+            const refilled = bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.perSecond;
+            if (refilled >= bucket.burst) this.buckets.delete(id);
+        });
+    }
+}
+
+// Monthly usage per publisher (UTC calendar months)
+class UsageTracker {
+    constructor(store) {
+        this.usage = store.collection('usage');
+    }
+    
+    getPeriod(date = new Date()) {
+        return date.toISOString().substring(0, 7);
+    }
+    
+    getPeriodEnd(date = new Date()) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+    
+    getRecord(publisherId) {
+        const period = this.getPeriod();
+        const key = `${publisherId}:${period}`;
+        
+        if (!this.usage.has(key)) {
+            this.usage.set(key, {
+                publisherId,
+                period,
+                requests: 0,
+                rejected: { rateLimited: 0, quotaExceeded: 0 },
+                daily: {},
+                byKey: {}
+            });
+        }
+        return this.usage.get(key);
+    }
+    
+    record(publisherId, keyId) {
+        const record = this.getRecord(publisherId);
+        const day = new Date().toISOString().substring(0, 10);
+        
+        record.requests++;
+        record.daily[day] = (record.daily[day] || 0) + 1;
+        record.byKey[keyId] = (record.byKey[keyId] || 0) + 1;
+        this.usage.set(`${publisherId}:${record.period}`, record);
+    }
+    
+    recordRejection(publisherId, reason) {
+        const record = this.getRecord(publisherId);
+        record.rejected[reason]++;
+        this.usage.set(`${publisherId}:${record.period}`, record);
+    }
+    
+    getQuota(publisher) {
+        const plan = PLANS[publisher.plan] || PLANS.free;
+        const record = this.getRecord(publisher.id);
+        
+        return {
+            limit: plan.monthlyQuota,
+            used: record.requests,
+            remaining: Math.max(0, plan.monthlyQuota - record.requests),
+            resetsAt: this.getPeriodEnd().toISOString()
+        };
+    }
+    
+    getSummary(publisher) {
+        const plan = PLANS[publisher.plan] || PLANS.free;
+        const record = this.getRecord(publisher.id);
+        
+        return {
+            publisherId: publisher.id,
+            plan: publisher.plan,
+            period: record.period,
+            quota: this.getQuota(publisher),
+            rateLimits: { perApiKey: plan.rateLimit, perClientIP: IP_RATE_LIMIT },
+            rejected: record.rejected,
+            daily: record.daily,
+            byKey: record.byKey
+        };
+    }
+}
+
+const rateLimiter = new TokenBucketLimiter();
+const usageTracker = new UsageTracker(storage);
+
+function setRateLimitHeaders(res, result) {
+    res.setHeader('RateLimit-Limit', result.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', result.resetSeconds);
+}
+
+// Enforce per-IP and per-key buckets plus the monthly quota; answers 429 when exceeded
+// Rate limits always apply; requests that are not analyses (e.g. event
+// batches) pass countQuota: false and neither need nor consume quota. With
+// deferCount the quota is checked but the caller counts the request itself
+// (recordUsage) once its body has parsed, so malformed requests cost nothing
+function enforceUsageLimits(res, auth, clientIP, { countQuota = true, deferCount = false } = {}) {
+    const { publisher, apiKey } = auth;
+    const plan = PLANS[publisher.plan] || PLANS.free;
+    
+    const checks = [
+        { scope: 'client_ip', result: rateLimiter.take(`ip:${clientIP}`, IP_RATE_LIMIT) },
+        { scope: 'api_key', result: rateLimiter.take(`key:${apiKey.id}`, plan.rateLimit) }
+    ];
+    
+    // Report whichever bucket is closest to empty
+    const tightest = checks.reduce((a, b) => (b.result.remaining < a.result.remaining ? b : a));
+    setRateLimitHeaders(res, tightest.result);
+    
+    const rejected = checks.find(check => !check.result.allowed);
+    if (rejected) {
+        usageTracker.recordRejection(publisher.id, 'rateLimited');
+        res.setHeader('Retry-After', rejected.result.retryAfterSeconds);
+        res.status(429).json({
+            error: 'Rate limit exceeded',
+            scope: rejected.scope,
+            retryAfter: rejected.result.retryAfterSeconds
+        });
+        return false;
+    }
+    
+    if (!countQuota) return true;
+    
+    const quota = usageTracker.getQuota(publisher);
+    if (quota.remaining <= 0) {
+        usageTracker.recordRejection(publisher.id, 'quotaExceeded');
+        const retryAfter = Math.ceil((new Date(quota.resetsAt).getTime() - Date.now()) / 1000);
+        res.setHeader('Retry-After', retryAfter);
+        res.status(429).json({
+            error: 'Monthly quota exceeded',
+            scope: 'monthly_quota',
+            quota,
+            retryAfter
+        });
+        return false;
+    }
+    
+    if (!deferCount) recordUsage(auth);
+    return true;
+}
+
+function recordUsage({ publisher, apiKey }) {
+    usageTracker.record(publisher.id, apiKey.id);
+}
+
+// Proxies allowed to set X-Forwarded-For / X-Real-IP (comma-separated IPs or CIDRs).
+// Only loopback is trusted by default, so a client on a private network cannot
+// choose its own IP. Behind a load balancer or on Vercel, set
+// TRAFFIC_COP_TRUSTED_PROXIES to the addresses that proxy connects from
+// (e.g. TRAFFIC_COP_TRUSTED_PROXIES=10.0.0.0/8 for a VPC-internal balancer).
+const TRUSTED_PROXIES = (process.env.TRAFFIC_COP_TRUSTED_PROXIES || '127.0.0.0/8,::1/128')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+// IP Address Utilities
+const IPUtils = {
+    // Strip IPv4-mapped IPv6 prefixes and zone ids
+    normalize(ip) {
+        if (!ip || typeof ip !== 'string') return null;
+        let value = ip.trim();
+        if (value.startsWith('[') && value.includes(']')) value = value.slice(1, value.indexOf(']'));
+        if (value.includes('%')) value = value.split('%')[0];
+        if (value.toLowerCase().startsWith('::ffff:') && value.includes('.')) value = value.substring(7);
+        // Drop a trailing port from "1.2.3.4:5678"
+        if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(value)) value = value.split(':')[0];
+        return this.version(value) ? value.toLowerCase() : null;
+    },
+
+    version(ip) {
+        if (/^(\d{1,3})(\.\d{1,3}){3}$/.test(ip)) {
+            return ip.split('.').every(part => Number(part) <= 255) ? 4 : 0;
+        }
+        if (ip.includes(':') && /^[0-9a-fA-F:.]+$/.test(ip)) {
+            return this.toBigInt(ip, 6) !== null ? 6 : 0;
+        }
+        return 0;
+    },
+
+    toBigInt(ip, version = this.version(ip)) {
+        if (version === 4) {
+            return ip.split('.').reduce((acc, part) => (acc << 8n) + BigInt(Number(part)), 0n);
+        }
+
+        // IPv6, including "::" compression and embedded IPv4 tails
+        let address = ip;
+        if (address.includes('.')) {
+            const lastColon = address.lastIndexOf(':');
+            const v4 = address.substring(lastColon + 1).split('.').map(Number);
+            if (v4.length !== 4 || v4.some(n => isNaN(n) || n > 255)) return null;
+            address = address.substring(0, lastColon + 1) +
+                ((v4[0] << 8) | v4[1]).toString(16) + ':' + ((v4[2] << 8) | v4[3]).toString(16);
+        }
+
+        const halves = address.split('::');
+        if (halves.length > 2) return null;
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+        if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+
+        const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+        if (groups.some(group => !/^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+        return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    },
+
+    parseCidr(cidr) {
+        const [address, prefix] = cidr.split('/');
+        const ip = this.normalize(address);
+        if (!ip) return null;
+        const version = this.version(ip);
+        const bits = version === 4 ? 32 : 128;
+        const prefixLength = prefix === undefined ? bits : parseInt(prefix, 10);
+        if (isNaN(prefixLength) || prefixLength < 0 || prefixLength > bits) return null;
+
+        const mask = prefixLength === 0 ? 0n : ((1n << BigInt(prefixLength)) - 1n) << BigInt(bits - prefixLength);
+        return { version, mask, network: this.toBigInt(ip, version) & mask, cidr };
+    },
+
+    inRange(ip, range) {
+        const version = this.version(ip);
+        if (!range || version !== range.version) return false;
+        return (this.toBigInt(ip, version) & range.mask) === range.network;
+    },
+
+    isPrivate(ip) {
+        return PRIVATE_RANGES.some(range => this.inRange(ip, range));
+    }
+};
+
+const PRIVATE_RANGES = [
+    '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '127.0.0.0/8', '169.254.0.0/16',
+    '100.64.0.0/10', '::1/128', 'fc00::/7', 'fe80::/10'
+].map(cidr => IPUtils.parseCidr(cidr));
+
+const trustedProxyRanges = TRUSTED_PROXIES.map(entry => IPUtils.parseCidr(entry)).filter(Boolean);
+
+function isTrustedProxy(ip) {
+    return trustedProxyRanges.some(range => IPUtils.inRange(ip, range));
+}
+
+// Resolve the visitor's IP from the socket, honouring forwarding headers
+// only when they were added by a trusted proxy
+function getClientIP(req) {
+    const socketIP = IPUtils.normalize(req.socket && req.socket.remoteAddress) || '0.0.0.0';
+    if (!isTrustedProxy(socketIP)) return socketIP;
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+        const hops = String(forwardedFor).split(',').map(hop => IPUtils.normalize(hop)).filter(Boolean);
+
+        // Walk from the nearest hop outwards; the first untrusted address is the client
+        for (let i = hops.length - 1; i >= 0; i--) {
+            if (!isTrustedProxy(hops[i])) return hops[i];
+        }
+        if (hops.length > 0) return hops[0];
+    }
+
+    const realIP = IPUtils.normalize(req.headers['x-real-ip']);
+    return realIP || socketIP;
+}
+
+// IP Reputation Store
+class IPReputationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.datacenterRanges = [];
+        this.torExitNodes = new Set();
+        this.knownBadIPs = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            this.datacenterRanges = (data.datacenterRanges || [])
+                .map(entry => ({ ...IPUtils.parseCidr(entry.cidr), provider: entry.provider }))
+                .filter(range => range.version);
+            this.torExitNodes = new Set((data.torExitNodes || []).map(ip => IPUtils.normalize(ip)).filter(Boolean));
+            this.knownBadIPs = new Map((data.knownBadIPs || [])
+                .map(entry => [IPUtils.normalize(entry.ip), entry.reason || 'Known bad IP'])
+                .filter(([ip]) => ip));
+
+            console.log(`🌐 Loaded IP reputation data: ${this.datacenterRanges.length} datacenter ranges, ` +
+                `${this.torExitNodes.size} Tor exits, ${this.knownBadIPs.size} known-bad IPs`);
+        } catch (error) {
+            console.warn(`⚠️ IP reputation data unavailable (${this.filePath}): ${error.message}`);
+        }
+    }
+
+    lookup(ip) {
+        const address = IPUtils.normalize(ip);
+        const result = {
+            ip: address,
+            isPrivate: false,
+            isDatacenter: false,
+            provider: null,
+            isTor: false,
+            isKnownBad: false,
+            reason: null
+        };
+        if (!address) return result;
+
+        result.isPrivate = IPUtils.isPrivate(address);
+        result.isTor = this.torExitNodes.has(address);
+
+        if (this.knownBadIPs.has(address)) {
+            result.isKnownBad = true;
+            result.reason = this.knownBadIPs.get(address);
+        }
+
+        const datacenter = this.datacenterRanges.find(range => IPUtils.inRange(address, range));
+        if (datacenter) {
+            result.isDatacenter = true;
+            result.provider = datacenter.provider;
+        }
+
+        return result;
+    }
+}
+
+// Split one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    
+    return fields;
+}
+
+// Offline GeoIP / ASN Database
+// Loads CSV ranges at startup: start_ip,end_ip,country_code,country_name,region,asn,organisation
+class GeoIPDatabase {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.ranges = { 4: [], 6: [] };
+        this.load();
+    }
+
+    load() {
+        const ranges = { 4: [], 6: [] };
+
+        try {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split(/\r?\n/);
+
+            lines.forEach((line, index) => {
+                if (!line.trim() || line.startsWith('#') || line.startsWith('start_ip')) return;
+
+                const [startIP, endIP, code, country, region, asn, org] = parseCsvLine(line);
+                const start = IPUtils.normalize(startIP);
+                const end = IPUtils.normalize(endIP);
+                const version = start && IPUtils.version(start);
+
+                if (!start || !end || version !== IPUtils.version(end)) {
+                    console.warn(`⚠️ Skipping invalid GeoIP row ${index + 1}`);
+                    return;
+                }
+
+                ranges[version].push({
+                    start: IPUtils.toBigInt(start, version),
+                    end: IPUtils.toBigInt(end, version),
+                    code: (code || 'XX').toUpperCase(),
+                    country: country || 'Unknown',
+                    region: region || null,
+                    asn: asn ? parseInt(String(asn).replace(/^AS/i, ''), 10) || null : null,
+                    org: org || null
+                });
+            });
+
+            ranges[4].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+            ranges[6].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+            this.ranges = ranges;
+
+            console.log(`🗺️ Loaded GeoIP database: ${ranges[4].length + ranges[6].length} ranges`);
+        } catch (error) {
+            console.warn(`⚠️ GeoIP database unavailable (${this.filePath}): ${error.message}`);
+        }
+    }
+
+    lookup(ip) {
+        const unknown = { country: 'Unknown', code: 'XX', region: null, asn: null, org: null };
+        const address = IPUtils.normalize(ip);
+        if (!address) return unknown;
+
+        const version = IPUtils.version(address);
+        const value = IPUtils.toBigInt(address, version);
+        const ranges = this.ranges[version];
+
+        // Binary search for the last range starting at or before the address
+        let low = 0;
+        let high = ranges.length - 1;
+        let match = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (ranges[mid].start <= value) {
+                match = ranges[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (!match || value > match.end) return unknown;
+
+        return {
+            country: match.country,
+            code: match.code,
+            region: match.region,
+            asn: match.asn,
+            org: match.org
+        };
+    }
+}
+
+// Time Series
+// Per-publisher counters bucketed by minute, hour and day. Every request is counted
+// into all three rollups, and each bucket expires after its retention; range queries pick the
+// coarsest rollup that covers the range and downsample it to the requested interval
+const TIME_SERIES_ROLLUPS = {
+    day: { bucketMs: 86400000, retentionMs: 400 * 86400000 },
+    hour: { bucketMs: 3600000, retentionMs: 30 * 86400000 },
+    minute: { bucketMs: 60000, retentionMs: 24 * 3600000 }
+};
+const TIME_SERIES_METRICS = ['requests', 'actions', 'risk', 'latency', 'threats'];
+const TIME_SERIES_ACTIONS = ['allow', 'monitor', 'challenge', 'block'];
+const LATENCY_BUCKET_BOUNDS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500];
+const MAX_THREAT_TYPES_PER_BUCKET = 50;
+const MAX_TIME_SERIES_POINTS = 1000;
+const DEFAULT_TIME_SERIES_RANGE_MS = 24 * 3600000;
+
+function parseIntervalMs(value) {
+    const match = /^(\d+)([mhd])$/.exec(value || '');
+    if (!match || Number(match[1]) < 1) return null;
+    return Number(match[1]) * { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+}
+
+function formatIntervalMs(ms) {
+    if (ms % 86400000 === 0) return `${ms / 86400000}d`;
+    if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+    return `${ms / 60000}m`;
+}
+
+function parseTimestamp(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+class TimeSeriesStore {
+    constructor(store) {
+        this.store = store;
+        this.buckets = {};
+        this.dirty = {};
+        
+        const now = Date.now();
+        Object.entries(TIME_SERIES_ROLLUPS).forEach(([rollup, { retentionMs }]) => {
+            this.buckets[rollup] = new Map(this.store.entries(`timeseries:${rollup}`)
+                .filter(([, bucket]) => bucket.start >= now - retentionMs)
+                .map(([key, bucket]) => [Number(key), bucket]));
+            this.dirty[rollup] = new Set();
+        });
+    }
+    
+    createBucket(start) {
+        return {
+            start,
+            requests: 0,
+            actions: Object.fromEntries(TIME_SERIES_ACTIONS.map(action => [action, 0])),
+            risk: { sum: 0, low: 0, medium: 0, high: 0 },
+            latency: { sum: 0, max: 0, histogram: Array(LATENCY_BUCKET_BOUNDS_MS.length + 1).fill(0) },
+            threats: {}
+        };
+    }
+    
+    record(analysis, responseTime, timestamp = Date.now()) {
+        // Threat labels may carry measurements, e.g. "High page view rate (42/min)"
+        const threatTypes = (analysis.threats || []).map(threat => String(threat).replace(/\s*\(.*\)$/, ''));
+        const latencyIndex = LATENCY_BUCKET_BOUNDS_MS.findIndex(bound => responseTime <= bound);
+        
+        Object.entries(TIME_SERIES_ROLLUPS).forEach(([rollup, { bucketMs }]) => {
+            const start = Math.floor(timestamp / bucketMs) * bucketMs;
+            if (!this.buckets[rollup].has(start)) {
+                this.buckets[rollup].set(start, this.createBucket(start));
+            }
+            const bucket = this.buckets[rollup].get(start);
+            
+            bucket.requests++;
+            if (analysis.action in bucket.actions) bucket.actions[analysis.action]++;
+            
+            bucket.risk.sum += analysis.riskScore;
+            if (analysis.riskScore >= 70) bucket.risk.high++;
+            else if (analysis.riskScore >= 30) bucket.risk.medium++;
+            else bucket.risk.low++;
+            
+            bucket.latency.sum += responseTime;
+            bucket.latency.max = Math.max(bucket.latency.max, responseTime);
+            bucket.latency.histogram[latencyIndex === -1 ? LATENCY_BUCKET_BOUNDS_MS.length : latencyIndex]++;
+            
+            threatTypes.forEach(type => {
+                const key = type in bucket.threats || Object.keys(bucket.threats).length < MAX_THREAT_TYPES_PER_BUCKET
+                    ? type
+                    : 'other';
+                bucket.threats[key] = (bucket.threats[key] || 0) + 1;
+            });
+            
+            this.dirty[rollup].add(start);
+        });
+    }
+    
+    // Called from the batched analytics save
+    save() {
+        const now = Date.now();
+        Object.entries(TIME_SERIES_ROLLUPS).forEach(([rollup, { retentionMs }]) => {
+            this.dirty[rollup].forEach(start => {
+                const bucket = this.buckets[rollup].get(start);
+                if (bucket) {
+                    this.store.set(`timeseries:${rollup}`, String(start), bucket, { ttlMs: start + retentionMs - now });
+                }
+            });
+            this.dirty[rollup].clear();
+            
+            this.buckets[rollup].forEach((bucket, start) => {
+                if (start < now - retentionMs) this.buckets[rollup].delete(start);
+            });
+        });
+    }
+    
+    // Turns query-string parameters into a validated range; throws 400 errors
+    resolveQuery({ metric, from, to, interval }) {
+        if (!TIME_SERIES_METRICS.includes(metric)) {
+            throw createHttpError(400, `metric must be one of ${TIME_SERIES_METRICS.join(', ')}`);
+        }
+        
+        const now = Date.now();
+        const end = to ? parseTimestamp(to) : now;
+        if (end === null) throw createHttpError(400, 'to must be an ISO date or epoch milliseconds');
+        const start = from ? parseTimestamp(from) : end - DEFAULT_TIME_SERIES_RANGE_MS;
+        if (start === null) throw createHttpError(400, 'from must be an ISO date or epoch milliseconds');
+        if (start >= end) throw createHttpError(400, 'from must be before to');
+        
+        const oldest = now - TIME_SERIES_ROLLUPS.day.retentionMs;
+        if (start < oldest) {
+            throw createHttpError(400, `from must be within the last ${TIME_SERIES_ROLLUPS.day.retentionMs / 86400000} days`);
+        }
+        
+        let intervalMs;
+        if (interval) {
+            intervalMs = parseIntervalMs(interval);
+            if (!intervalMs) throw createHttpError(400, 'interval must look like 5m, 1h or 1d');
+        } else {
+            // Smallest interval that keeps the series under a chartable number of points
+            intervalMs = [60000, 300000, 900000, 3600000, 21600000, 86400000]
+                .find(ms => (end - start) / ms <= 300) || 86400000;
+        }
+        
+        const rollup = ['day', 'hour', 'minute'].find(name => {
+            const { bucketMs, retentionMs } = TIME_SERIES_ROLLUPS[name];
+            return intervalMs % bucketMs === 0 && start >= now - retentionMs;
+        });
+        if (!rollup) {
+            const coverage = Object.entries(TIME_SERIES_ROLLUPS)
+                .map(([name, { retentionMs }]) => `${name} buckets for ${formatIntervalMs(retentionMs)}`)
+                .join(', ');
+            throw createHttpError(400, `No rollup covers this range at that interval (${coverage})`);
+        }
+        
+        const points = Math.ceil((end - Math.floor(start / intervalMs) * intervalMs) / intervalMs);
+        if (points > MAX_TIME_SERIES_POINTS) {
+            throw createHttpError(400, `Range holds ${points} points at this interval; the limit is ${MAX_TIME_SERIES_POINTS}`);
+        }
+        
+        return { metric, start, end, intervalMs, rollup };
+    }
+    
+    query(params) {
+        const { metric, start, end, intervalMs, rollup } = this.resolveQuery(params);
+        const first = Math.floor(start / intervalMs) * intervalMs;
+        
+        const groups = new Map();
+        for (let groupStart = first; groupStart < end; groupStart += intervalMs) {
+            groups.set(groupStart, this.createBucket(groupStart));
+        }
+        
+        this.buckets[rollup].forEach((bucket, bucketStart) => {
+            if (bucketStart < first || bucketStart >= end) return;
+            this.mergeBucket(groups.get(Math.floor(bucketStart / intervalMs) * intervalMs), bucket);
+        });
+        
+        const buckets = Array.from(groups.values());
+        const topThreats = metric === 'threats' ? this.getTopThreatTypes(buckets) : [];
+        
+        return {
+            metric,
+            from: new Date(start).toISOString(),
+            to: new Date(end).toISOString(),
+            interval: formatIntervalMs(intervalMs),
+            rollup,
+            points: buckets.map(bucket => ({
+                timestamp: new Date(bucket.start).toISOString(),
+                ...this.describeBucket(metric, bucket, topThreats)
+            }))
+        };
+    }
+    
+    mergeBucket(target, bucket) {
+        target.requests += bucket.requests;
+        TIME_SERIES_ACTIONS.forEach(action => { target.actions[action] += bucket.actions[action] || 0; });
+        ['sum', 'low', 'medium', 'high'].forEach(field => { target.risk[field] += bucket.risk[field]; });
+        target.latency.sum += bucket.latency.sum;
+        target.latency.max = Math.max(target.latency.max, bucket.latency.max);
+        bucket.latency.histogram.forEach((count, i) => { target.latency.histogram[i] += count; });
+        Object.entries(bucket.threats).forEach(([type, count]) => {
+            target.threats[type] = (target.threats[type] || 0) + count;
+        });
+    }
+    
+    getTopThreatTypes(buckets, limit = 10) {
+        const totals = {};
+        buckets.forEach(bucket => {
+            Object.entries(bucket.threats).forEach(([type, count]) => {
+                totals[type] = (totals[type] || 0) + count;
+            });
+        });
+        return Object.entries(totals)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, limit)
+            .map(([type]) => type);
+    }
+    
+    describeBucket(metric, bucket, topThreats) {
+        switch (metric) {
+            case 'requests':
+                return { requests: bucket.requests };
+            case 'actions':
+                return { requests: bucket.requests, ...bucket.actions };
+            case 'risk':
+                return {
+                    avg: bucket.requests > 0 ? Math.round(bucket.risk.sum / bucket.requests) : null,
+                    low: bucket.risk.low,
+                    medium: bucket.risk.medium,
+                    high: bucket.risk.high
+                };
+            case 'latency':
+                return {
+                    avg: bucket.requests > 0 ? Math.round(bucket.latency.sum / bucket.requests) : null,
+                    p95: this.estimatePercentile(bucket.latency.histogram, 0.95),
+                    max: bucket.requests > 0 ? bucket.latency.max : null
+                };
+            case 'threats':
+                return {
+                    total: Object.values(bucket.threats).reduce((sum, count) => sum + count, 0),
+                    byType: Object.fromEntries(topThreats.map(type => [type, bucket.threats[type] || 0]))
+                };
+        }
+    }
+    
+    // Upper bound of the histogram bucket holding the percentile (null above the last bound)
+    estimatePercentile(histogram, percentile) {
+        const total = histogram.reduce((sum, count) => sum + count, 0);
+        if (total === 0) return null;
+        
+        let seen = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            seen += histogram[i];
+            if (seen >= total * percentile) return LATENCY_BUCKET_BOUNDS_MS[i] ?? null;
+        }
+        return null;
+    }
+    
+    getRequestCount(fromMs, toMs = Date.now()) {
+        let count = 0;
+        this.buckets.minute.forEach((bucket, start) => {
+            if (start >= fromMs && start < toMs) count += bucket.requests;
+        });
+        return count;
+    }
+    
+    // Mean requests in this hour of day (UTC) over the previous days with data, or null
+    getHourOfDayAverage(hour) {
+        const today = Math.floor(Date.now() / 86400000) * 86400000;
+        let total = 0;
+        let oldest = today;
+        
+        this.buckets.hour.forEach((bucket, start) => {
+            if (start >= today) return;
+            oldest = Math.min(oldest, start);
+            if (new Date(start).getUTCHours() === hour) total += bucket.requests;
+        });
+        
+        // Days before today whose copy of this hour falls inside the retained history
+        const days = Math.floor((today + hour * 3600000 - oldest) / 86400000);
+        return days > 0 ? total / days : null;
+    }
+}
+
+// Advanced Analytics Engine
+class AdvancedAnalytics {
+    constructor(store = new MemoryStorage()) {
+        this.store = store;
+        this.saveTimer = null;
+        this.timeSeries = new TimeSeriesStore(store);
+        this.metrics = {
+            realTimeData: [],
+            geographicData: new Map(),
+            threatIntelligence: [],
+            events: { total: 0, byType: {}, recent: [] },
+            performanceMetrics: {
+                avgResponseTime: 0,
+                p95ResponseTime: 0,
+                errorRate: 0,
+                throughput: 0
+            }
+        };
+        this.restore();
+        this.startRealTimeCollection();
+    }
+    
+    restore() {
+        const saved = this.store.get('analytics', 'metrics');
+        if (!saved) return;
+        
+        // Snapshots from before the time series may still carry hourlyStats/dailyStats
+        const { hourlyStats, dailyStats, ...metrics } = saved;
+        Object.assign(this.metrics, metrics, { geographicData: new Map(saved.geographicData) });
+    }
+    
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        this.store.set('analytics', 'metrics', {
+            ...this.metrics,
+            geographicData: Array.from(this.metrics.geographicData.entries())
+        });
+        this.timeSeries.save();
+    }
+    
+    // Metrics change on every request, so snapshots are batched
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), 30000);
+        this.saveTimer.unref();
+    }
+    
+    recordRequest(analysis, responseTime, clientIP) {
+        const timestamp = Date.now();
+        
+        // Real-time data (keep last 1000 requests)
+        this.metrics.realTimeData.push({
+            timestamp,
+            sessionId: analysis.sessionId,
+            riskScore: analysis.riskScore,
+            action: analysis.action,
+            responseTime,
+            clientIP,
+            threats: analysis.threats
+        });
+        
+        if (this.metrics.realTimeData.length > 1000) {
+            this.metrics.realTimeData.shift();
+        }
+        
+        // Minute, hour and day rollups
+        this.timeSeries.record(analysis, responseTime, timestamp);
+        
+        // Update performance metrics
+        this.updatePerformanceMetrics(responseTime, analysis.action === 'block');
+        
+        // Geographic data
+        this.updateGeographicData(clientIP, analysis);
+        
+        // Threat intelligence
+        if (analysis.threats.length > 0) {
+            this.recordThreat(analysis, clientIP);
+        }
+        
+        this.scheduleSave();
+    }
+    
+    // Page events reported by the SDK
+    recordEvents(events) {
+        const timestamp = Date.now();
+        
+        events.forEach(event => {
+            this.metrics.events.total++;
+            this.metrics.events.byType[event.type] = (this.metrics.events.byType[event.type] || 0) + 1;
+            this.metrics.events.recent.push({ timestamp, type: event.type });
+        });
+        
+        // Keep the last 5 minutes (at most 5000 events) for real-time rates
+        const cutoff = timestamp - 300000;
+        const recent = this.metrics.events.recent;
+        while (recent.length > 0 && (recent[0].timestamp < cutoff || recent.length > 5000)) {
+            recent.shift();
+        }
+        
+        this.scheduleSave();
+    }
+    
+    getRecentEventCounts() {
+        const cutoff = Date.now() - 300000;
+        const counts = {};
+        this.metrics.events.recent.forEach(event => {
+            if (event.timestamp >= cutoff) counts[event.type] = (counts[event.type] || 0) + 1;
+        });
+        return counts;
+    }
+    
+    updatePerformanceMetrics(responseTime, isBlocked) {
+        const recentRequests = this.metrics.realTimeData.slice(-100);
+        
+        // Average response time
+        const avgTime = recentRequests.reduce((sum, req) => sum + req.responseTime, 0) / recentRequests.length;
+        this.metrics.performanceMetrics.avgResponseTime = Math.round(avgTime);
+        
+        // P95 response time
+        const sortedTimes = recentRequests.map(r => r.responseTime).sort((a, b) => a - b);
+        const p95Index = Math.floor(sortedTimes.length * 0.95);
+        this.metrics.performanceMetrics.p95ResponseTime = sortedTimes[p95Index] || 0;
+        
+        // Error rate (blocked requests as errors)
+        const blockedCount = recentRequests.filter(r => r.action === 'block').length;
+        this.metrics.performanceMetrics.errorRate = (blockedCount / recentRequests.length) * 100;
+        
+        // Throughput (requests per minute)
+        const oneMinuteAgo = Date.now() - 60000;
+        const recentMinute = this.metrics.realTimeData.filter(r => r.timestamp > oneMinuteAgo);
+        this.metrics.performanceMetrics.throughput = recentMinute.length;
+    }
+    
+    updateGeographicData(clientIP, analysis) {
+        const geoData = analysis.geo || this.getGeoFromIP(clientIP);
+        
+        if (!this.metrics.geographicData.has(geoData.country)) {
+            this.metrics.geographicData.set(geoData.country, {
+                country: geoData.country,
+                code: geoData.code,
+                requests: 0,
+                blocked: 0,
+                avgRisk: 0,
+                totalRisk: 0
+            });
+        }
+        
+        const countryData = this.metrics.geographicData.get(geoData.country);
+        countryData.requests++;
+        countryData.totalRisk += analysis.riskScore;
+        countryData.avgRisk = countryData.totalRisk / countryData.requests;
+        
+        if (analysis.action === 'block') {
+            countryData.blocked++;
+        }
+    }
+    
+    getGeoFromIP(ip) {
+        return geoDatabase.lookup(ip);
+    }
+    
+    recordThreat(analysis, clientIP) {
+        this.metrics.threatIntelligence.push({
+            timestamp: Date.now(),
+            sessionId: analysis.sessionId,
+            clientIP: clientIP,
+            threats: analysis.threats,
+            riskScore: analysis.riskScore,
+            action: analysis.action
+        });
+        
+        // Keep only last 500 threats
+        if (this.metrics.threatIntelligence.length > 500) {
+            this.metrics.threatIntelligence.shift();
+        }
+    }
+    
+    startRealTimeCollection() {
+        // Simulate real-time data updates
+        setInterval(() => {
+            this.generatePredictiveInsights();
+        }, 30000).unref(); // Every 30 seconds
+    }
+    
+    generatePredictiveInsights() {
+        // Predict traffic spikes: the last hour against this hour on previous days
+        const historicalAvg = this.timeSeries.getHourOfDayAverage(new Date().getUTCHours());
+        const currentRate = this.timeSeries.getRequestCount(Date.now() - 3600000);
+        
+        if (historicalAvg !== null && currentRate > historicalAvg * 1.5) {
+            console.log('🚨 Traffic spike detected - scaling recommended');
+        }
+        
+        // Predict attack patterns
+        const recentThreats = this.metrics.threatIntelligence.filter(t => 
+            Date.now() - t.timestamp < 300000 // Last 5 minutes
+        );
+        
+        if (recentThreats.length > 10) {
+            console.log('🚨 Potential coordinated attack detected');
+        }
+    }
+    
+    getAdvancedMetrics() {
+        return {
+            realTime: {
+                currentThroughput: this.metrics.performanceMetrics.throughput,
+                avgLatency: this.metrics.performanceMetrics.avgResponseTime,
+                errorRate: this.metrics.performanceMetrics.errorRate,
+                activeThreats: this.metrics.threatIntelligence.filter(t => 
+                    Date.now() - t.timestamp < 300000
+                ).length,
+                requests: this.metrics.realTimeData.filter(r => Date.now() - r.timestamp < 300000).length,
+                events: this.getRecentEventCounts()
+            },
+            trends: {
+                last24Hours: this.timeSeries.query({ metric: 'actions', interval: '1h' }).points,
+                eventTotals: { total: this.metrics.events.total, byType: this.metrics.events.byType },
+                topCountries: Array.from(this.metrics.geographicData.values())
+                    .sort((a, b) => b.requests - a.requests)
+                    .slice(0, 10),
+                threatTrends: this.getThreatTrends()
+            },
+            predictions: {
+                nextHourTraffic: this.predictNextHourTraffic(),
+                riskForecast: this.predictRiskLevel(),
+                capacityRecommendation: this.getCapacityRecommendation()
+            },
+            threat: this.getRecentThreatRates(),
+            country: this.getCountryShares()
+        };
+    }
+    
+    // Per threat label: analyses in the last 5 minutes that raised it, and their share of all analyses
+    getRecentThreatRates() {
+        const recent = this.metrics.realTimeData.filter(r => Date.now() - r.timestamp < 300000);
+        const rates = {};
+        recent.forEach(request => {
+            (request.threats || []).forEach(type => {
+                rates[type] = rates[type] || { count: 0, rate: 0 };
+                rates[type].count++;
+            });
+        });
+        Object.values(rates).forEach(entry => {
+            entry.rate = Math.round((entry.count / recent.length) * 1000) / 1000;
+        });
+        return rates;
+    }
+    
+    // Per country code: request counts and share of all traffic
+    getCountryShares() {
+        const countries = Array.from(this.metrics.geographicData.values());
+        const total = countries.reduce((sum, country) => sum + country.requests, 0);
+        const shares = {};
+        countries.forEach(country => {
+            shares[country.code] = {
+                requests: country.requests,
+                blocked: country.blocked,
+                avgRisk: Math.round(country.avgRisk),
+                share: total > 0 ? Math.round((country.requests / total) * 1000) / 1000 : 0
+            };
+        });
+        return shares;
+    }
+    
+    getThreatTrends() {
+        const threatTypes = {};
+        this.metrics.threatIntelligence.forEach(threat => {
+            threat.threats.forEach(type => {
+                threatTypes[type] = (threatTypes[type] || 0) + 1;
+            });
+        });
+        
+        return Object.entries(threatTypes)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 5)
+            .map(([type, count]) => ({ type, count }));
+    }
+    
+    predictNextHourTraffic() {
+        const nextHour = (new Date().getUTCHours() + 1) % 24;
+        const historicalAvg = this.timeSeries.getHourOfDayAverage(nextHour);
+        const currentTrend = this.metrics.performanceMetrics.throughput * 60; // Convert to hourly
+        
+        if (historicalAvg === null) return currentTrend;
+        return Math.round((historicalAvg + currentTrend) / 2);
+    }
+    
+    predictRiskLevel() {
+        const recentRisks = this.metrics.realTimeData.slice(-50).map(r => r.riskScore);
+        const avgRisk = recentRisks.reduce((a, b) => a + b, 0) / recentRisks.length;
+        
+        if (avgRisk > 60) return 'HIGH';
+        if (avgRisk > 30) return 'MEDIUM';
+        return 'LOW';
+    }
+    
+    getCapacityRecommendation() {
+        const currentLoad = this.metrics.performanceMetrics.throughput;
+        const avgLatency = this.metrics.performanceMetrics.avgResponseTime;
+        
+        if (avgLatency > 100 || currentLoad > 1000) {
+            return 'SCALE_UP';
+        } else if (avgLatency < 30 && currentLoad < 100) {
+            return 'SCALE_DOWN';
+        }
+        return 'OPTIMAL';
+    }
+}
+
+// Model Evaluation
+// Metrics computed from ground-truth labels: confusion matrix, precision/recall/F1,
+// false-positive rate, ROC-AUC and calibration of scores against observed fraud rates
+const HOLDOUT_PERCENT = 20;
+const EVALUATION_WINDOWS = { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000, '30d': 30 * 24 * 60 * 60 * 1000, all: null };
+
+const ModelEvaluator = {
+    // Deterministic split so a session stays in the same set across retrains
+    isHoldout(sessionId) {
+        const digest = crypto.createHash('sha1').update(String(sessionId)).digest();
+        return digest.readUInt16BE(0) % 100 < HOLDOUT_PERCENT;
+    },
+    
+    inWindow(timestamp, window) {
+        const span = EVALUATION_WINDOWS[window];
+        return !span || Date.now() - timestamp <= span;
+    },
+    
+    ratio(numerator, denominator) {
+        return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+    },
+    
+    // predictions: [{ score: 0-100, fraud: boolean }]
+    evaluate(predictions, cutoff) {
+        const matrix = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+        
+        predictions.forEach(({ score, fraud }) => {
+            const flagged = score >= cutoff;
+            if (flagged && fraud) matrix.truePositive++;
+            else if (flagged) matrix.falsePositive++;
+            else if (fraud) matrix.falseNegative++;
+            else matrix.trueNegative++;
+        });
+        
+        const positives = matrix.truePositive + matrix.falseNegative;
+        const negatives = matrix.falsePositive + matrix.trueNegative;
+        const precision = this.ratio(matrix.truePositive, matrix.truePositive + matrix.falsePositive);
+        const recall = this.ratio(matrix.truePositive, positives);
+        
+        return {
+            samples: predictions.length,
+            positives: positives,
+            negatives: negatives,
+            cutoff: cutoff,
+            confusionMatrix: matrix,
+            accuracy: this.ratio(matrix.truePositive + matrix.trueNegative, predictions.length),
+            precision: precision,
+            recall: recall,
+            f1: precision !== null && recall !== null && precision + recall > 0
+                ? Math.round((2 * precision * recall / (precision + recall)) * 10000) / 10000 : null,
+            falsePositiveRate: this.ratio(matrix.falsePositive, negatives),
+            rocAuc: this.rocAuc(predictions),
+            calibration: this.calibration(predictions)
+        };
+    },
+    
+    // Probability a random fraud sample outscores a random legitimate one (ties count half)
+    rocAuc(predictions) {
+        const positives = predictions.filter(p => p.fraud).length;
+        const negatives = predictions.length - positives;
+        if (positives === 0 || negatives === 0) return null;
+        
+        const sorted = [...predictions].sort((a, b) => a.score - b.score);
+        let rankSum = 0;
+        let i = 0;
+        while (i < sorted.length) {
+            let j = i;
+            while (j + 1 < sorted.length && sorted[j + 1].score === sorted[i].score) j++;
+            const averageRank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) {
+                if (sorted[k].fraud) rankSum += averageRank;
+            }
+            i = j + 1;
+        }
+        
+        const auc = (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+        return Math.round(auc * 10000) / 10000;
+    },
+    
+    // Observed fraud rate per 10-point score bucket, plus expected calibration error
+    calibration(predictions) {
+        const buckets = Array(10).fill().map((_, i) => ({
+            range: `${i * 10}-${i * 10 + 10}`,
+            samples: 0,
+            meanScore: 0,
+            observedFraudRate: null,
+            fraud: 0
+        }));
+        
+        predictions.forEach(({ score, fraud }) => {
+            const bucket = buckets[Math.min(Math.floor(score / 10), 9)];
+            bucket.samples++;
+            bucket.meanScore += score;
+            if (fraud) bucket.fraud++;
+        });
+        
+        let weightedError = 0;
+        buckets.forEach(bucket => {
+            if (bucket.samples === 0) {
+                bucket.meanScore = null;
+                return;
+            }
+            bucket.meanScore = Math.round((bucket.meanScore / bucket.samples) * 10) / 10;
+            bucket.observedFraudRate = this.ratio(bucket.fraud, bucket.samples);
+            weightedError += bucket.samples * Math.abs(bucket.meanScore / 100 - bucket.observedFraudRate);
+        });
+        
+        return {
+            buckets: buckets.map(({ fraud, ...bucket }) => bucket),
+            expectedCalibrationError: predictions.length > 0
+                ? Math.round((weightedError / predictions.length) * 10000) / 10000 : null
+        };
+    }
+};
+
+// Logistic Regression Classifier
+// Trained on z-score normalised features with L2 regularisation and
+// class weights inversely proportional to class frequency
+const MODEL_FEATURES = [
+    'userAgentSuspicion', 'deviceSuspicion', 'geographicRisk', 'behavioralRisk',
+    'temporalRisk', 'networkRisk', 'automationRisk', 'consistencyRisk'
+];
+const TRAINING_DEFAULTS = { epochs: 300, learningRate: 0.1, l2: 0.01 };
+
+// Hand-tuned linear model weights and the feature each one applies to
+const LINEAR_WEIGHT_FEATURES = {
+    userAgent: 'userAgentSuspicion',
+    screenResolution: 'deviceSuspicion',
+    geographic: 'geographicRisk',
+    behavioral: 'behavioralRisk',
+    temporal: 'temporalRisk',
+    network: 'networkRisk',
+    automation: 'automationRisk',
+    consistency: 'consistencyRisk'
+};
+
+const LogisticRegression = {
+    sigmoid(z) {
+        return 1 / (1 + Math.exp(-z));
+    },
+    
+    normalize(features, normalization, names = MODEL_FEATURES) {
+        return names.map(name =>
+            ((features[name] || 0) - normalization.mean[name]) / normalization.std[name]);
+    },
+    
+    // A model only scores the features it was trained on
+    predict(model, features) {
+        const names = Object.keys(model.coefficients);
+        const x = this.normalize(features, model.normalization, names);
+        const z = names.reduce((sum, name, i) => sum + model.coefficients[name] * x[i], model.intercept);
+        return this.sigmoid(z);
+    },
+    
+    // samples: [{ features, outcome: 'fraud' | 'legitimate' }]
+    train(samples, { epochs, learningRate, l2 } = TRAINING_DEFAULTS) {
+        const normalization = { mean: {}, std: {} };
+        MODEL_FEATURES.forEach(name => {
+            const values = samples.map(sample => sample.features[name] || 0);
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+            normalization.mean[name] = mean;
+            // Constant features keep a unit scale so they cannot blow up
+            normalization.std[name] = variance > 1e-12 ? Math.sqrt(variance) : 1;
+        });
+        
+        const rows = samples.map(sample => ({
+            x: this.normalize(sample.features, normalization),
+            y: sample.outcome === 'fraud' ? 1 : 0
+        }));
+        
+        const fraudCount = rows.filter(row => row.y === 1).length;
+        const classWeights = {
+            fraud: rows.length / (2 * fraudCount),
+            legitimate: rows.length / (2 * (rows.length - fraudCount))
+        };
+        
+        const weights = MODEL_FEATURES.map(() => 0);
+        let intercept = 0;
+        
+        // Full-batch gradient descent on weighted log loss
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            const gradient = weights.map(() => 0);
+            let interceptGradient = 0;
+            let totalWeight = 0;
+            
+            rows.forEach(row => {
+                const z = row.x.reduce((sum, value, i) => sum + weights[i] * value, intercept);
+                const sampleWeight = row.y === 1 ? classWeights.fraud : classWeights.legitimate;
+                const error = (this.sigmoid(z) - row.y) * sampleWeight;
+                row.x.forEach((value, i) => { gradient[i] += error * value; });
+                interceptGradient += error;
+                totalWeight += sampleWeight;
+            });
+            
+            weights.forEach((weight, i) => {
+                weights[i] -= learningRate * (gradient[i] / totalWeight + l2 * weight);
+            });
+            intercept -= learningRate * (interceptGradient / totalWeight);
+        }
+        
+        const round = value => Math.round(value * 10000) / 10000;
+        const coefficients = {};
+        MODEL_FEATURES.forEach((name, i) => { coefficients[name] = round(weights[i]); });
+        
+        return {
+            coefficients: coefficients,
+            intercept: round(intercept),
+            normalization: normalization,
+            classWeights: { fraud: round(classWeights.fraud), legitimate: round(classWeights.legitimate) },
+            training: { epochs, learningRate, l2 }
+        };
+    }
+};
+
+// Machine Learning Threat Detection Engine
+const MAX_TRAINING_SAMPLES = 5000;
+const MAX_SHADOW_DISAGREEMENTS = 1000;
+const SHADOW_LOG_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Risk score at or above which a model counts as predicting fraud when evaluated
+const EVALUATION_CUTOFF = 50;
+
+class MLThreatDetection {
+    constructor(store = new MemoryStorage()) {
+        this.store = store;
+        // Hand-tuned starting point; retraining produces logistic models
+        this.model = {
+            type: 'linear',
+            weights: {
+                userAgent: 0.15,
+                screenResolution: 0.10,
+                geographic: 0.10,
+                behavioral: 0.20,
+                temporal: 0.05,
+                network: 0.15,
+                automation: 0.15,
+                consistency: 0.10
+            },
+            thresholds: {
+                bot: 0.8,
+                suspicious: 0.6,
+                normal: 0.3
+            },
+            version: 1
+        };
+        this.registry = { activeVersion: 1, shadowVersion: null, activations: [] };
+        this.shadowModel = null;
+        this.shadowStats = { scored: 0, disagreements: 0, since: null };
+        this.shadowDisagreements = [];
+        this.trainingData = [];
+        this.labelsSinceRetrain = 0;
+        this.featureExtractor = new FeatureExtractor();
+        this.restore();
+    }
+    
+    restore() {
+        const registry = this.store.get('model', 'registry');
+        
+        if (registry) {
+            this.registry = registry;
+            this.model = this.getVersion(registry.activeVersion).model;
+            if (registry.shadowVersion) {
+                this.shadowModel = this.getVersion(registry.shadowVersion).model;
+                this.shadowStats.since = Date.now();
+            }
+        } else {
+            // First start (or pre-versioning state): the current model becomes version 1
+            const legacyModel = this.store.get('model', 'current');
+            if (legacyModel) this.model = { ...legacyModel, version: 1 };
+            this.saveVersion(this.model, { trainingSetSize: 0, metrics: null, parentVersion: null });
+            this.registry.activations.push({ version: 1, activatedAt: Date.now(), reason: 'initial' });
+            this.saveRegistry();
+        }
+        
+        this.trainingData = this.store.entries('trainingData')
+            .map(([, sample]) => sample)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        this.shadowDisagreements = this.store.entries('shadowDisagreements')
+            .map(([, entry]) => entry)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    analyzeWithML(visitorData, behavioralData = {}, policy = DEFAULT_POLICY, { sessionId = null } = {}) {
+        const features = this.featureExtractor.extract(visitorData, behavioralData);
+        const riskScore = this.calculateRiskScore(features);
+        const confidence = this.calculateConfidence(features);
+        const threatVector = this.identifyThreatVector(features);
+        const recommendation = this.getRecommendation(riskScore, confidence, policy);
+        
+        // Score with the shadow candidate too; it never affects the result
+        if (this.shadowModel) {
+            this.scoreShadow(sessionId, features, confidence, policy, riskScore, recommendation);
+        }
+        
+        return {
+            mlRiskScore: riskScore,
+            confidence: confidence,
+            threatVector: threatVector,
+            features: features,
+            modelVersion: this.model.version,
+            recommendation: recommendation
+        };
+    }
+    
+    calculateRiskScore(features, model = this.model) {
+        // Trained models output a fraud probability
+        if (model.type === 'logistic') {
+            return LogisticRegression.predict(model, features) * 100;
+        }
+        
+        // Hand-tuned weighted sum (models saved before the network weight count it as 0)
+        let score = 0;
+        Object.entries(LINEAR_WEIGHT_FEATURES).forEach(([weight, feature]) => {
+            score += (features[feature] || 0) * (model.weights[weight] || 0);
+        });
+        
+        return Math.min(Math.max(score * 100, 0), 100);
+    }
+    
+    // Per-feature weights of a model, keyed by feature name
+    getFeatureWeights(model = this.model) {
+        if (model.type === 'logistic') {
+            return { type: 'logistic', intercept: model.intercept, coefficients: model.coefficients };
+        }
+        
+        const coefficients = {};
+        Object.entries(LINEAR_WEIGHT_FEATURES).forEach(([weight, feature]) => {
+            coefficients[feature] = model.weights[weight] || 0;
+        });
+        return { type: 'linear', intercept: 0, coefficients: coefficients };
+    }
+    
+    scoreShadow(sessionId, features, confidence, policy, activeScore, activeRecommendation) {
+        const shadowScore = this.calculateRiskScore(features, this.shadowModel);
+        const shadowRecommendation = this.getRecommendation(shadowScore, confidence, policy);
+        
+        this.shadowStats.scored++;
+        if (shadowRecommendation.action === activeRecommendation.action) return;
+        
+        this.shadowStats.disagreements++;
+        const entry = {
+            id: `shadow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: Date.now(),
+            sessionId: sessionId,
+            activeVersion: this.model.version,
+            shadowVersion: this.shadowModel.version,
+            activeScore: Math.round(activeScore * 10) / 10,
+            shadowScore: Math.round(shadowScore * 10) / 10,
+            activeAction: activeRecommendation.action,
+            shadowAction: shadowRecommendation.action
+        };
+        
+        this.shadowDisagreements.push(entry);
+        this.store.set('shadowDisagreements', entry.id, entry, { ttlMs: SHADOW_LOG_TTL_MS });
+        while (this.shadowDisagreements.length > MAX_SHADOW_DISAGREEMENTS) {
+            this.store.delete('shadowDisagreements', this.shadowDisagreements.shift().id);
+        }
+    }
+    
+    calculateConfidence(features) {
+        // Calculate confidence based on feature consistency
+        const featureValues = Object.values(features);
+        const mean = featureValues.reduce((a, b) => a + b, 0) / featureValues.length;
+        const variance = featureValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / featureValues.length;
+        
+        // Lower variance = higher confidence
+        return Math.max(0, Math.min(100, 100 - (variance * 100)));
+    }
+    
+    identifyThreatVector(features) {
+        const vectors = [];
+        
+        if (features.userAgentSuspicion > 0.7) vectors.push('Automated Browser');
+        if (features.deviceSuspicion > 0.6) vectors.push('Virtual Environment');
+        if (features.geographicRisk > 0.8) vectors.push('High-Risk Location');
+        if (features.behavioralRisk > 0.7) vectors.push('Abnormal Behavior');
+        if (features.temporalRisk > 0.6) vectors.push('Suspicious Timing');
+        if (features.networkRisk > 0.6) vectors.push('Suspicious Network');
+        if (features.automationRisk > 0.5) vectors.push('Automation Artifacts');
+        if (features.consistencyRisk > 0.5) vectors.push('Inconsistent Fingerprint');
+        
+        return vectors.length > 0 ? vectors : ['Low Risk'];
+    }
+    
+    getRecommendation(riskScore, confidence, policy = DEFAULT_POLICY) {
+        const decision = decideAction(riskScore, confidence, policy);
+        return { action: decision.action.toUpperCase(), reason: decision.reason };
+    }
+    
+    // Learn from a ground-truth label ('fraud' or 'legitimate') on the features
+    // recorded for a session; relabeling a session replaces its earlier sample
+    learn(sessionId, features, label, { source = null, sessionTimestamp = Date.now() } = {}) {
+        const sample = {
+            id: sessionId,
+            timestamp: Date.now(),
+            sessionTimestamp: sessionTimestamp,
+            features: features,
+            outcome: label,
+            source: source
+        };
+        
+        const existing = this.trainingData.findIndex(entry => entry.id === sessionId);
+        if (existing !== -1) this.trainingData.splice(existing, 1);
+        this.trainingData.push(sample);
+        this.store.set('trainingData', sample.id, sample);
+        
+        // Keep only the most recent samples
+        while (this.trainingData.length > MAX_TRAINING_SAMPLES) {
+            this.store.delete('trainingData', this.trainingData.shift().id);
+        }
+        
+        // Retrain model periodically
+        this.labelsSinceRetrain++;
+        if (this.labelsSinceRetrain >= 100 && this.canTrain()) {
+            this.retrainModel();
+        }
+    }
+    
+    // Training needs both fraud and legitimate samples in the training split
+    canTrain() {
+        const outcomes = new Set(this.getSplit('train').map(sample => sample.outcome));
+        return outcomes.has('fraud') && outcomes.has('legitimate');
+    }
+    
+    // Fit a new logistic regression candidate on the training split. The
+    // candidate is saved and put in shadow mode; it only takes over once promoted.
+    retrainModel(options = {}) {
+        const samples = this.getSplit('train');
+        const candidate = {
+            type: 'logistic',
+            ...LogisticRegression.train(samples, { ...TRAINING_DEFAULTS, ...options }),
+            thresholds: { ...this.model.thresholds },
+            version: this.getNextVersion()
+        };
+        
+        const record = this.saveVersion(candidate, {
+            trainingSetSize: samples.length,
+            metrics: this.evaluateModel(candidate, this.getSplit('holdout')),
+            parentVersion: this.model.version
+        });
+        
+        this.labelsSinceRetrain = 0;
+        this.setShadow(candidate.version);
+        console.log(`🤖 Trained model v${candidate.version} on ${samples.length} samples (shadow mode)`);
+        
+        return record;
+    }
+    
+    // 'train', 'holdout' or 'all' labeled samples, optionally limited to a time window
+    getSplit(split, window = 'all') {
+        return this.trainingData.filter(sample => {
+            if (!ModelEvaluator.inWindow(sample.sessionTimestamp || sample.timestamp, window)) return false;
+            if (split === 'all') return true;
+            return ModelEvaluator.isHoldout(sample.id) === (split === 'holdout');
+        });
+    }
+    
+    evaluateModel(model, samples, cutoff = EVALUATION_CUTOFF) {
+        return ModelEvaluator.evaluate(samples.map(sample => ({
+            score: this.calculateRiskScore(sample.features, model),
+            fraud: sample.outcome === 'fraud'
+        })), cutoff);
+    }
+    
+    // Model version registry
+    
+    getNextVersion() {
+        const versions = this.store.entries('modelVersions').map(([, record]) => record.version);
+        return Math.max(0, ...versions) + 1;
+    }
+    
+    getVersion(version) {
+        return this.store.get('modelVersions', String(version)) || null;
+    }
+    
+    listVersions() {
+        return this.store.entries('modelVersions')
+            .map(([, record]) => ({
+                ...record,
+                status: record.version === this.registry.activeVersion ? 'active'
+                    : record.version === this.registry.shadowVersion ? 'shadow' : 'inactive'
+            }))
+            .sort((a, b) => a.version - b.version);
+    }
+    
+    saveVersion(model, { trainingSetSize, metrics, parentVersion }) {
+        const record = {
+            version: model.version,
+            model: model,
+            trainingSetSize: trainingSetSize,
+            metrics: metrics,
+            parentVersion: parentVersion,
+            createdAt: new Date().toISOString()
+        };
+        this.store.set('modelVersions', String(model.version), record);
+        return record;
+    }
+    
+    saveRegistry() {
+        this.store.set('model', 'registry', this.registry);
+    }
+    
+    setShadow(version) {
+        const record = version ? this.getVersion(version) : null;
+        if (version && !record) return false;
+        
+        this.registry.shadowVersion = record ? record.version : null;
+        this.shadowModel = record ? record.model : null;
+        this.shadowStats = { scored: 0, disagreements: 0, since: record ? Date.now() : null };
+        this.saveRegistry();
+        return true;
+    }
+    
+    promote(version, reason = 'promoted') {
+        const record = this.getVersion(version);
+        if (!record) return false;
+        
+        this.model = record.model;
+        this.registry.activeVersion = record.version;
+        this.registry.activations.push({ version: record.version, activatedAt: Date.now(), reason });
+        if (this.registry.shadowVersion === record.version) {
+            this.setShadow(null);
+        }
+        this.saveRegistry();
+        return true;
+    }
+    
+    // Reactivate an earlier version; defaults to the one active before the current
+    rollback(version = null) {
+        let target = version;
+        if (!target) {
+            const previous = this.registry.activations
+                .slice(0, -1)
+                .reverse()
+                .find(activation => activation.version !== this.registry.activeVersion);
+            if (!previous) return false;
+            target = previous.version;
+        }
+        return this.promote(target, 'rollback');
+    }
+    
+    getShadowReport(limit = 50) {
+        return {
+            activeVersion: this.registry.activeVersion,
+            shadowVersion: this.registry.shadowVersion,
+            stats: {
+                ...this.shadowStats,
+                since: this.shadowStats.since ? new Date(this.shadowStats.since).toISOString() : null,
+                disagreementRate: this.shadowStats.scored > 0
+                    ? Math.round((this.shadowStats.disagreements / this.shadowStats.scored) * 1000) / 10 : 0
+            },
+            recentDisagreements: this.shadowDisagreements.slice(-limit).reverse()
+        };
+    }
+}
+
+// Browser Fingerprint Checks
+// Automation artifacts reported by the SDK, and cross-checks between what the
+// browser claims (UA, platform, GPU, touch) and what the server sees (IP geo)
+function getUserAgentOS(userAgent) {
+    const ua = String(userAgent || '');
+    if (/iPhone|iPad|iPod/.test(ua)) return 'iOS';
+    if (/Android/.test(ua)) return 'Android';
+    if (/Windows/.test(ua)) return 'Windows';
+    if (/Macintosh|Mac OS X/.test(ua)) return 'macOS';
+    if (/CrOS/.test(ua)) return 'ChromeOS';
+    if (/Linux/.test(ua)) return 'Linux';
+    return null;
+}
+
+// navigator.platform values each UA operating system may report
+// (iPadOS desktop mode reports MacIntel; Android and ChromeOS report Linux)
+const PLATFORM_PATTERNS = {
+    iOS: /^(iPhone|iPad|iPod|MacIntel)/,
+    Android: /Linux|Android/,
+    Windows: /^Win/,
+    macOS: /^Mac/,
+    ChromeOS: /Linux|CrOS/,
+    Linux: /Linux|X11|FreeBSD/
+};
+const UA_DATA_PLATFORMS = { iOS: 'iOS', Android: 'Android', Windows: 'Windows', macOS: 'macOS', ChromeOS: 'Chrome OS', Linux: 'Linux' };
+
+// GPU families that only ship with some operating systems
+const GPU_PATTERNS = [
+    { pattern: /Apple (M\d|GPU)/i, systems: ['macOS', 'iOS'] },
+    { pattern: /Direct3D|D3D1\d/i, systems: ['Windows'] },
+    { pattern: /Adreno|Mali-|PowerVR/i, systems: ['Android', 'iOS', 'ChromeOS', 'Linux'] }
+];
+
+// Returns { id, automation: [{ check, weight }], inconsistencies: [{ check, weight }] }
+function inspectFingerprint(visitorData) {
+    const fingerprint = visitorData.fingerprint && typeof visitorData.fingerprint === 'object' ? visitorData.fingerprint : {};
+    const webgl = fingerprint.webgl && typeof fingerprint.webgl === 'object' ? fingerprint.webgl : {};
+    const renderer = String(webgl.renderer || '').substring(0, 256);
+    const userAgent = String(visitorData.userAgent || '');
+    const uaOS = getUserAgentOS(userAgent);
+    const automation = [];
+    const inconsistencies = [];
+    
+    // Automation artifacts
+    if (fingerprint.webdriver === true) automation.push({ check: 'navigator.webdriver is set', weight: 0.8 });
+    if (fingerprint.cdp === true) automation.push({ check: 'DevTools protocol detected', weight: 0.5 });
+    if (/Chrome\//.test(userAgent) && !/Edg|OPR|Firefox/.test(userAgent) && fingerprint.chrome === false) {
+        automation.push({ check: 'window.chrome missing on a Chrome user agent', weight: 0.4 });
+    }
+    if (fingerprint.permissionsQuirk === true) automation.push({ check: 'Notification permission inconsistency', weight: 0.4 });
+    if (/SwiftShader|llvmpipe|softpipe|Software Rasterizer/i.test(renderer)) {
+        automation.push({ check: `Software WebGL renderer (${renderer})`, weight: 0.4 });
+    }
+    if (fingerprint.languages === 0) automation.push({ check: 'Empty navigator.languages', weight: 0.3 });
+    if (Array.isArray(fingerprint.outer) && fingerprint.outer[0] === 0 && fingerprint.outer[1] === 0) {
+        automation.push({ check: 'Zero-size browser window', weight: 0.3 });
+    }
+    
+    // Internal consistency
+    if (uaOS && visitorData.platform && !PLATFORM_PATTERNS[uaOS].test(String(visitorData.platform))) {
+        inconsistencies.push({ check: `User agent claims ${uaOS} but platform is ${String(visitorData.platform).substring(0, 64)}`, weight: 0.6 });
+    }
+    const uaData = fingerprint.uaData && typeof fingerprint.uaData === 'object' ? fingerprint.uaData : null;
+    if (uaOS && uaData && uaData.platform && uaData.platform !== UA_DATA_PLATFORMS[uaOS]) {
+        inconsistencies.push({ check: `User agent claims ${uaOS} but client hints report ${String(uaData.platform).substring(0, 64)}`, weight: 0.5 });
+    }
+    if ((uaOS === 'iOS' || uaOS === 'Android') && fingerprint.touchPoints === 0) {
+        inconsistencies.push({ check: 'Mobile user agent without touch support', weight: 0.4 });
+    }
+    const gpu = GPU_PATTERNS.find(entry => entry.pattern.test(renderer));
+    if (uaOS && gpu && !gpu.systems.includes(uaOS)) {
+        inconsistencies.push({ check: `GPU (${renderer}) does not match ${uaOS}`, weight: 0.5 });
+    }
+    if (getTimezoneCountryMismatch(visitorData.timezone, visitorData.countryCode)) {
+        inconsistencies.push({ check: `Timezone ${visitorData.timezone} does not match IP country ${visitorData.countryCode}`, weight: 0.3 });
+    }
+    const [screenWidth, screenHeight] = String(visitorData.screenResolution || '').split('x').map(Number);
+    const [viewportWidth, viewportHeight] = String(visitorData.viewportSize || '').split('x').map(Number);
+    if (screenWidth > 0 && (viewportWidth > screenWidth + 20 || viewportHeight > screenHeight + 20)) {
+        inconsistencies.push({ check: 'Viewport larger than screen', weight: 0.2 });
+    }
+    if (visitorData.fingerprintUserAgents >= 3) {
+        inconsistencies.push({ check: `Fingerprint shared by ${visitorData.fingerprintUserAgents} user agents`, weight: 0.5 });
+    }
+    
+    return { id: getFingerprintId(fingerprint), automation, inconsistencies };
+}
+
+// Stable ID from the hashed canvas, WebGL and audio fingerprints
+function getFingerprintId(fingerprint) {
+    const webgl = fingerprint.webgl && typeof fingerprint.webgl === 'object' ? fingerprint.webgl : {};
+    const parts = [fingerprint.canvas, webgl.hash, fingerprint.audio].map(part => (typeof part === 'string' ? part : ''));
+    if (parts.every(part => !part)) return null;
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex').substring(0, 16);
+}
+
+// Feature Extraction Engine
+class FeatureExtractor {
+    extract(visitorData, behavioralData = {}) {
+        const fingerprint = inspectFingerprint(visitorData);
+        const sumWeights = findings => Math.min(findings.reduce((sum, finding) => sum + finding.weight, 0), 1.0);
+        
+        return {
+            automationRisk: sumWeights(fingerprint.automation),
+            consistencyRisk: sumWeights(fingerprint.inconsistencies),
+            userAgentSuspicion: this.analyzeUserAgent(visitorData.userAgent),
+            deviceSuspicion: this.analyzeDevice(visitorData),
+            geographicRisk: this.analyzeGeography(visitorData),
+            behavioralRisk: this.analyzeBehavior(behavioralData),
             temporalRisk: this.analyzeTiming(visitorData),
             networkRisk: this.analyzeNetwork(visitorData)
         };
     }
     
-    analyzeUserAgent(userAgent) {
-        if (!userAgent) return 1.0;
+    analyzeUserAgent(userAgent) {
+        if (!userAgent) return 1.0;
+        
+        const ua = userAgent.toLowerCase();
+        let suspicion = 0;
+        
+        // Bot keywords
+        const botKeywords = ['bot', 'crawler', 'spider', 'scraper', 'headless'];
+        botKeywords.forEach(keyword => {
+            if (ua.includes(keyword)) suspicion += 0.3;
+        });
+        
+        // Automation tools
+        const autoTools = ['selenium', 'puppeteer', 'playwright', 'phantom'];
+        autoTools.forEach(tool => {
+            if (ua.includes(tool)) suspicion += 0.4;
+        });
+        
+        // Unusual patterns
+        if (ua.length < 20 || ua.length > 500) suspicion += 0.2;
+        if (!ua.includes('mozilla') && !ua.includes('webkit')) suspicion += 0.3;
+        
+        return Math.min(suspicion, 1.0);
+    }
+    
+    analyzeDevice(visitorData) {
+        let suspicion = 0;
+        
+        // Screen resolution analysis
+        const resolution = visitorData.screenResolution || '';
+        const commonResolutions = ['1920x1080', '1366x768', '1536x864', '1440x900'];
+        
+        if (resolution === '1024x768') suspicion += 0.4; // Common bot resolution
+        if (!commonResolutions.includes(resolution) && resolution !== '') suspicion += 0.2;
+        
+        // Plugin analysis
+        const plugins = visitorData.plugins || 0;
+        if (plugins === 0) suspicion += 0.3;
+        if (plugins > 50) suspicion += 0.2;
+        
+        // Platform consistency
+        if (!visitorData.platform) suspicion += 0.2;
+        
+        return Math.min(suspicion, 1.0);
+    }
+    
+    analyzeGeography(visitorData) {
+        const highRiskCountries = ['CN', 'RU', 'BD', 'PK', 'ID', 'VN'];
+        const mediumRiskCountries = ['IN', 'PH', 'EG', 'NG', 'UA', 'TR'];
+        
+        if (highRiskCountries.includes(visitorData.countryCode)) return 0.8;
+        if (mediumRiskCountries.includes(visitorData.countryCode)) return 0.5;
+        
+        return 0.1;
+    }
+    
+    // behavioralData is SDK telemetry expanded by normalizeBehavior plus the
+    // session's page event counts; without either there is no behavioral evidence
+    analyzeBehavior(behavioralData) {
+        if (!behavioralData) return 0;
+        
+        let suspicion = 0;
+        
+        // Page events reported over the session
+        const events = behavioralData.events || {};
+        if (events.rapid_clicking_detected > 0) suspicion += 0.3;
+        if (events.rapid_clicking_detected > 5) suspicion += 0.2;
+        if (events.invalid_ad_click > 0) suspicion += 0.4;
+        
+        if (!behavioralData.timeOnPage) return Math.min(suspicion, 1.0);
+        
+        const { timeOnPage, mouse, clicks, scroll, keys, touch } = behavioralData;
+        const interactions = mouse.samples + clicks.count + scroll.count + keys.count + touch.count;
+        
+        // A page open for a while with no input at all
+        if (interactions === 0 && timeOnPage > 10000) suspicion += 0.3;
+        
+        // Scripted pointers move in straight lines at constant speed
+        if (mouse.samples >= 20) {
+            if (mouse.straightness > 0.98) suspicion += 0.3;
+            if (mouse.meanVelocity > 0 && mouse.velocityStdDev / mouse.meanVelocity < 0.1) suspicion += 0.25;
+            if (mouse.meanCurvature < 0.01) suspicion += 0.1;
+        }
+        
+        // Clicks: synthetic events, no pointer movement before them, machine-gun or metronomic rhythm
+        if (clicks.untrusted > 0) suspicion += 0.4;
+        if (clicks.count > 0 && mouse.samples === 0 && touch.count === 0) suspicion += 0.3;
+        if (clicks.count >= 3 && clicks.meanInterval < 100) suspicion += 0.3;
+        if (clicks.count >= 5 && clicks.intervalStdDev < 10) suspicion += 0.2;
+        
+        // Keystroke and scroll cadence with inhuman regularity
+        if (keys.count >= 5 && (keys.intervalStdDev < 5 || keys.meanInterval < 30)) suspicion += 0.3;
+        if (scroll.count >= 5 && scroll.intervalStdDev < 5) suspicion += 0.2;
+        
+        // Acting within the first second of the page load
+        if (timeOnPage < 1000 && clicks.count > 0) suspicion += 0.3;
+        
+        return Math.min(suspicion, 1.0);
+    }
+    
+    analyzeTiming(visitorData) {
+        const now = Date.now();
+        const requestTime = visitorData.timestamp || now;
+        const timeDiff = now - requestTime;
+        
+        let suspicion = 0;
+        
+        // Very fast requests (possible automation)
+        if (timeDiff < 100) suspicion += 0.4;
+        
+        // Requests at unusual hours (for the timezone)
+        const hour = new Date().getHours();
+        if (hour >= 2 && hour <= 6) suspicion += 0.2; // Late night requests
+        
+        return Math.min(suspicion, 1.0);
+    }
+    
+    analyzeNetwork(visitorData) {
+        const reputation = visitorData.ipReputation;
+        if (!reputation) return 0;
+
+        let suspicion = 0;
+
+        // Known abusive address
+        if (reputation.isKnownBad) suspicion += 0.7;
+
+        // Anonymizing network
+        if (reputation.isTor) suspicion += 0.6;
+
+        // Datacenter / hosting traffic is rarely a real visitor
+        if (reputation.isDatacenter) suspicion += 0.5;
+
+        return Math.min(suspicion, 1.0);
+    }
+}
+
+// Outbound Destinations
+// Webhook URLs and SMTP hosts come from publishers, so they must not reach the
+// deployment's own network: loopback, private, link-local (cloud metadata) and
+// reserved addresses are refused. Hosts are checked when settings are saved and
+// again before every connection, and connections resolve through guardedLookup
+// so a DNS answer that changes in between is refused too.
+// TRAFFIC_COP_ALLOW_PRIVATE_DESTINATIONS=true lifts the check for local
+// development against stand-in receivers.
+const ALLOW_PRIVATE_DESTINATIONS = process.env.TRAFFIC_COP_ALLOW_PRIVATE_DESTINATIONS === 'true';
+const RESERVED_RANGES = [
+    '0.0.0.0/8', '192.0.0.0/24', '192.0.2.0/24', '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24',
+    '224.0.0.0/4', '240.0.0.0/4', '::/128', '64:ff9b::/96', '2001:db8::/32', 'ff00::/8'
+].map(cidr => IPUtils.parseCidr(cidr));
+
+function isBlockedDestination(address) {
+    const ip = IPUtils.normalize(address);
+    if (!ip) return true;
+    return IPUtils.isPrivate(ip) || RESERVED_RANGES.some(range => IPUtils.inRange(ip, range));
+}
+
+// Drop-in for dns.lookup on http, net and tls connections
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!ALLOW_PRIVATE_DESTINATIONS && addresses.some(entry => isBlockedDestination(entry.address))) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a private or reserved address`), { code: 'EDESTINATION' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Returns why a host may not be contacted, or null; resolves names ahead of time
+// (connections skip the lookup for IP literals, so those are checked here)
+function checkDestinationHost(hostname) {
+    if (ALLOW_PRIVATE_DESTINATIONS) return Promise.resolve(null);
+    
+    const host = String(hostname).replace(/^\[|\]$/g, '');
+    const literal = IPUtils.normalize(host);
+    if (literal) return Promise.resolve(isBlockedDestination(literal) ? `${host} is a private or reserved address` : null);
+    
+    return new Promise(resolve => guardedLookup(host, {}, error => {
+        if (!error) return resolve(null);
+        resolve(error.code === 'EDESTINATION' ? error.message : `Could not resolve ${host}`);
+    }));
+}
+
+// Background Work
+// Webhook retries, alert escalations and email digests run on timers in a
+// long-lived process. Timers do not fire while a serverless function is frozen
+// between invocations, so due work is also picked up by incoming requests
+// (at most every PENDING_WORK_INTERVAL_MS). With the in-memory store of a
+// serverless deploy, queued work does not outlive the instance; use file
+// storage on a long-lived process when delivery guarantees matter.
+const PENDING_WORK_INTERVAL_MS = 10000;
+let pendingWorkCheckedAt = 0;
+
+function processPendingWork() {
+    const now = Date.now();
+    if (now - pendingWorkCheckedAt < PENDING_WORK_INTERVAL_MS) return;
+    pendingWorkCheckedAt = now;
+    
+    tenants.forEach(tenant => {
+        tenant.webhooks.processDue(now);
+        tenant.alertEngine.checkEscalations();
+        tenant.mailer.flushDigests();
+    });
+}
+
+// Webhook Delivery
+// Publishers register receivers for event types. Every POST is signed with the
+// receiver's secret in X-TrafficCop-Signature: t=<unix seconds>,v1=<hex
+// HMAC-SHA256 of "<t>.<raw body>">. Failed attempts are retried with
+// exponential backoff; deliveries that run out of attempts go to a
+// dead-letter queue from which they can be replayed. Receivers must be public
+// (see Outbound Destinations) and redirects are not followed.
+const WEBHOOK_EVENTS = ['alert.triggered', 'alert.acknowledged', 'alert.resolved', 'alert.escalated'];
+const MAX_WEBHOOKS = 10;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_MAX_ATTEMPTS = 5;
+// Retries wait 2s, 4s, 8s, 16s
+const WEBHOOK_RETRY_BASE_MS = 2000;
+const MAX_WEBHOOK_DELIVERIES = 500;
+const WEBHOOK_DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const WEBHOOK_DEAD_LETTER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST without following redirects; resolves with the receiver's status code
+function postWebhook(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: guardedLookup,
+            timeout: WEBHOOK_TIMEOUT_MS
+        }, response => {
+            // The receiver's answer is not used; do not buffer it
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+class WebhookDispatcher {
+    constructor(store) {
+        this.store = store;
+        this.deadLetters = store.collection('webhookDeadLetters', { ttlMs: WEBHOOK_DEAD_LETTER_TTL_MS });
+        this.timers = new Map();
+        this.deliveries = store.entries('webhookDeliveries')
+            .map(([, delivery]) => delivery)
+            .sort((a, b) => a.createdAt - b.createdAt);
+        
+        // Pick up retries that were still waiting when the process stopped
+        this.deliveries
+            .filter(delivery => delivery.status === 'retrying')
+            .forEach(delivery => this.schedule(delivery, Math.max(0, delivery.nextAttemptAt - Date.now())));
+    }
+    
+    list() {
+        return this.store.entries('webhooks')
+            .map(([, webhook]) => webhook)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+    
+    get(id) {
+        return this.store.get('webhooks', id) || null;
+    }
+    
+    // Returns an error message, or null when the definition is valid
+    validate(webhook) {
+        if (!webhook || typeof webhook !== 'object') return 'Webhook must be an object';
+        if (typeof webhook.url !== 'string' || webhook.url.length > 2048) return 'url is required';
+        
+        let url;
+        try {
+            url = new URL(webhook.url);
+        } catch (error) {
+            return 'url must be an absolute URL';
+        }
+        if (!['https:', 'http:'].includes(url.protocol)) return 'url must use http or https';
+        if (url.username || url.password) return 'url must not contain credentials';
+        
+        if (webhook.events !== undefined) {
+            if (!Array.isArray(webhook.events) || webhook.events.length === 0 || webhook.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+                return `events must be a non-empty subset of ${WEBHOOK_EVENTS.join(', ')}`;
+            }
+        }
+        if (webhook.enabled !== undefined && typeof webhook.enabled !== 'boolean') return 'enabled must be a boolean';
+        
+        return null;
+    }
+    
+    // Async half of validation: the receiver's host must resolve to a public address
+    async checkDestination(url) {
+        return checkDestinationHost(new URL(url).hostname);
+    }
+    
+    create({ url, events, description }) {
+        const now = Date.now();
+        const webhook = {
+            id: 'wh_' + crypto.randomBytes(8).toString('hex'),
+            url,
+            events: events || [...WEBHOOK_EVENTS],
+            description: description || '',
+            enabled: true,
+            secret: 'whsec_' + crypto.randomBytes(24).toString('hex'),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.store.set('webhooks', webhook.id, webhook);
+        return webhook;
+    }
+    
+    update(id, { url, events, description, enabled }) {
+        const existing = this.get(id);
+        if (!existing) return null;
+        
+        const webhook = {
+            ...existing,
+            url: url !== undefined ? url : existing.url,
+            events: events !== undefined ? events : existing.events,
+            description: description !== undefined ? description : existing.description,
+            enabled: enabled !== undefined ? enabled : existing.enabled,
+            updatedAt: Date.now()
+        };
+        this.store.set('webhooks', id, webhook);
+        return webhook;
+    }
+    
+    delete(id) {
+        return this.get(id) ? this.store.delete('webhooks', id) : false;
+    }
+    
+    // Public view of a receiver; the secret is only shown when it is created
+    describe(webhook) {
+        const { secret, ...rest } = webhook;
+        return {
+            ...rest,
+            secretPrefix: secret.substring(0, 12),
+            createdAt: new Date(webhook.createdAt).toISOString(),
+            updatedAt: new Date(webhook.updatedAt).toISOString()
+        };
+    }
+    
+    // Fan an event out to every enabled receiver subscribed to it
+    dispatch(event, data) {
+        const payload = {
+            id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+            event,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        
+        return this.list()
+            .filter(webhook => webhook.enabled && webhook.events.includes(event))
+            .map(webhook => this.enqueue(webhook, payload));
+    }
+    
+    // Single attempt, no dead-lettering: used to check a newly added receiver
+    ping(webhook) {
+        const delivery = this.enqueue(webhook, {
+            id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+            event: 'webhook.test',
+            createdAt: new Date().toISOString(),
+            data: { webhookId: webhook.id, message: 'Traffic Cop test event' }
+        }, { maxAttempts: 1, deadLetter: false });
+        return this.attempt(delivery);
+    }
+    
+    enqueue(webhook, payload, { maxAttempts = WEBHOOK_MAX_ATTEMPTS, deadLetter = true } = {}) {
+        const delivery = {
+            id: 'whd_' + crypto.randomBytes(10).toString('hex'),
+            webhookId: webhook.id,
+            event: payload.event,
+            payload,
+            status: 'pending',
+            maxAttempts,
+            deadLetter,
+            attempts: [],
+            nextAttemptAt: maxAttempts > 1 ? Date.now() : null,
+            createdAt: Date.now()
+        };
+        
+        this.deliveries.push(delivery);
+        this.saveDelivery(delivery);
+        
+        // Keep only the most recent deliveries
+        while (this.deliveries.length > MAX_WEBHOOK_DELIVERIES) {
+            const dropped = this.deliveries.shift();
+            clearTimeout(this.timers.get(dropped.id));
+            this.timers.delete(dropped.id);
+            this.store.delete('webhookDeliveries', dropped.id);
+        }
+        
+        if (maxAttempts > 1) this.schedule(delivery, 0);
+        return delivery;
+    }
+    
+    saveDelivery(delivery) {
+        this.store.set('webhookDeliveries', delivery.id, delivery, { ttlMs: WEBHOOK_DELIVERY_TTL_MS });
+    }
+    
+    schedule(delivery, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.attempt(delivery);
+        }, delayMs);
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+    
+    // Retries that are due but whose timer never fired (a frozen serverless function)
+    processDue(now = Date.now()) {
+        this.deliveries
+            .filter(delivery => ['pending', 'retrying'].includes(delivery.status) && delivery.nextAttemptAt && delivery.nextAttemptAt <= now)
+            .forEach(delivery => {
+                clearTimeout(this.timers.get(delivery.id));
+                this.timers.delete(delivery.id);
+                this.attempt(delivery);
+            });
+    }
+    
+    async attempt(delivery) {
+        // Lease the delivery while it is in flight; if the process stops before the
+        // attempt finishes, processDue picks it up again once the lease runs out
+        if (delivery.maxAttempts > 1) delivery.nextAttemptAt = Date.now() + WEBHOOK_TIMEOUT_MS * 2;
+        
+        const webhook = this.get(delivery.webhookId);
+        if (!webhook) {
+            delivery.status = 'cancelled';
+            delivery.nextAttemptAt = null;
+            this.saveDelivery(delivery);
+            return delivery;
+        }
+        
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const attempt = { attempt: delivery.attempts.length + 1, at: new Date(startedAt).toISOString(), statusCode: null, durationMs: null, error: null };
+        
+        try {
+            const destinationError = await checkDestinationHost(new URL(webhook.url).hostname);
+            if (destinationError) throw new Error(destinationError);
+            
+            const statusCode = await postWebhook(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TrafficCop-Webhooks/1.0',
+                'X-TrafficCop-Event': delivery.event,
+                'X-TrafficCop-Delivery': delivery.id,
+                'X-TrafficCop-Signature': `t=${timestamp},v1=${signWebhookPayload(webhook.secret, timestamp, body)}`
+            }, body);
+            attempt.statusCode = statusCode;
+            if (statusCode < 200 || statusCode >= 300) attempt.error = `Receiver answered HTTP ${statusCode}`;
+        } catch (error) {
+            attempt.error = error.message;
+        }
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+        
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length < delivery.maxAttempts) {
+            const delayMs = WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts.length - 1);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = Date.now() + delayMs;
+            this.schedule(delivery, delayMs);
+        } else {
+            delivery.status = delivery.deadLetter ? 'dead_lettered' : 'failed';
+            delivery.nextAttemptAt = null;
+            if (delivery.deadLetter) {
+                this.deadLetters.set(delivery.id, {
+                    deliveryId: delivery.id,
+                    webhookId: delivery.webhookId,
+                    event: delivery.event,
+                    payload: delivery.payload,
+                    attempts: delivery.attempts.length,
+                    lastError: attempt.error,
+                    failedAt: Date.now()
+                });
+                console.warn(`📡 Webhook delivery ${delivery.id} to ${webhook.url} failed ${delivery.attempts.length} times - moved to dead-letter queue`);
+            }
+        }
+        
+        this.saveDelivery(delivery);
+        return delivery;
+    }
+    
+    // Send a dead-lettered payload again with a fresh set of attempts
+    replay(deliveryId) {
+        const entry = this.deadLetters.get(deliveryId);
+        const webhook = entry && this.get(entry.webhookId);
+        if (!webhook) return null;
+        
+        this.deadLetters.delete(deliveryId);
+        return this.enqueue(webhook, entry.payload);
+    }
+    
+    getDeliveries(webhookId, limit = 50) {
+        return this.deliveries
+            .filter(delivery => delivery.webhookId === webhookId)
+            .slice(-limit)
+            .reverse()
+            .map(delivery => this.describeDelivery(delivery));
+    }
+    
+    getDeadLetters() {
+        return this.deadLetters.values()
+            .sort((a, b) => b.failedAt - a.failedAt)
+            .map(entry => ({ ...entry, failedAt: new Date(entry.failedAt).toISOString() }));
+    }
+    
+    describeDelivery(delivery) {
+        return {
+            id: delivery.id,
+            webhookId: delivery.webhookId,
+            event: delivery.event,
+            eventId: delivery.payload.id,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            nextAttemptAt: delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).toISOString() : null,
+            createdAt: new Date(delivery.createdAt).toISOString()
+        };
+    }
+}
+
+// Alert Rule Expressions
+// A small, side-effect-free language over getAdvancedMetrics(), e.g.
+//   realTime.activeThreats > 20 for 5m
+//   threat["Automated Browser"].rate > 0.3 && realTime.requests >= 50
+// Paths only read own properties of the metrics object; a missing value is
+// null, arithmetic on null stays null and comparisons with null are false,
+// so a rule never fires on data it does not have. `for <n>s|m|h` requires
+// the condition to hold that long before the alert fires.
+const MAX_ALERT_EXPRESSION_LENGTH = 500;
+const MAX_ALERT_EXPRESSION_DEPTH = 32;
+const MAX_ALERT_FOR_MS = 24 * 60 * 60 * 1000;
+const ALERT_EXPRESSION_ROOTS = ['realTime', 'trends', 'predictions', 'threat', 'country'];
+const ALERT_EXPRESSION_FUNCTIONS = {
+    min: (...args) => {
+        const numbers = args.filter(arg => typeof arg === 'number');
+        return numbers.length > 0 ? Math.min(...numbers) : null;
+    },
+    max: (...args) => {
+        const numbers = args.filter(arg => typeof arg === 'number');
+        return numbers.length > 0 ? Math.max(...numbers) : null;
+    },
+    // Missing values count as zero
+    sum: (...args) => args.reduce((total, arg) => total + (typeof arg === 'number' ? arg : 0), 0),
+    abs: (value) => typeof value === 'number' ? Math.abs(value) : null
+};
+const ALERT_EXPRESSION_TOKEN = /\s*(?:(\d+[smh])\b|(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|==|!=|&&|\|\||[-+*/<>!()[\].,]))/y;
+const DURATION_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const AlertExpression = {
+    tokenize(source) {
+        const tokens = [];
+        ALERT_EXPRESSION_TOKEN.lastIndex = 0;
+        
+        while (ALERT_EXPRESSION_TOKEN.lastIndex < source.length) {
+            if (/^\s*$/.test(source.slice(ALERT_EXPRESSION_TOKEN.lastIndex))) break;
+            
+            const position = ALERT_EXPRESSION_TOKEN.lastIndex;
+            const match = ALERT_EXPRESSION_TOKEN.exec(source);
+            if (!match) throw new Error(`Unexpected character at position ${position}`);
+            
+            const [, duration, number, string, identifier, operator] = match;
+            if (duration) tokens.push({ type: 'duration', value: parseInt(duration, 10) * DURATION_UNITS_MS[duration.slice(-1)] });
+            else if (number) tokens.push({ type: 'number', value: parseFloat(number) });
+            else if (string) tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+            else if (identifier) tokens.push({ type: 'identifier', value: identifier });
+            else tokens.push({ type: 'operator', value: operator });
+        }
+        
+        return tokens;
+    },
+    
+    // Returns { condition, forMs }; throws with a readable message on bad input
+    compile(source) {
+        if (typeof source !== 'string' || source.trim().length === 0) throw new Error('Expression is empty');
+        if (source.length > MAX_ALERT_EXPRESSION_LENGTH) {
+            throw new Error(`Expression is longer than ${MAX_ALERT_EXPRESSION_LENGTH} characters`);
+        }
+        
+        const tokens = this.tokenize(source);
+        let index = 0;
+        let depth = 0;
+        
+        const peek = () => tokens[index];
+        const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+        const isWord = (...values) => peek() && peek().type === 'identifier' && values.includes(peek().value);
+        const expect = (value) => {
+            if (!isOperator(value)) throw new Error(`Expected '${value}'${peek() ? ` but found '${peek().value}'` : ' at end of expression'}`);
+            index++;
+        };
+        const nested = (parse) => {
+            if (++depth > MAX_ALERT_EXPRESSION_DEPTH) throw new Error('Expression is nested too deeply');
+            const node = parse();
+            depth--;
+            return node;
+        };
+        
+        const parseOr = () => nested(() => {
+            let node = parseAnd();
+            while (isOperator('||') || isWord('or')) {
+                index++;
+                node = { type: 'logical', op: '||', left: node, right: parseAnd() };
+            }
+            return node;
+        });
+        const parseAnd = () => {
+            let node = parseNot();
+            while (isOperator('&&') || isWord('and')) {
+                index++;
+                node = { type: 'logical', op: '&&', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        const parseNot = () => {
+            if (isOperator('!') || isWord('not')) {
+                index++;
+                return nested(() => ({ type: 'not', operand: parseNot() }));
+            }
+            return parseComparison();
+        };
+        const parseComparison = () => {
+            const left = parseSum();
+            if (isOperator('>', '>=', '<', '<=', '==', '!=')) {
+                const op = tokens[index++].value;
+                return { type: 'compare', op, left, right: parseSum() };
+            }
+            return left;
+        };
+        const parseSum = () => {
+            let node = parseProduct();
+            while (isOperator('+', '-')) {
+                const op = tokens[index++].value;
+                node = { type: 'arithmetic', op, left: node, right: parseProduct() };
+            }
+            return node;
+        };
+        const parseProduct = () => {
+            let node = parseUnary();
+            while (isOperator('*', '/')) {
+                const op = tokens[index++].value;
+                node = { type: 'arithmetic', op, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        const parseUnary = () => {
+            if (isOperator('-')) {
+                index++;
+                return nested(() => ({ type: 'negate', operand: parseUnary() }));
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = tokens[index++];
+            if (!token) throw new Error('Unexpected end of expression');
+            
+            if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+            if (token.type === 'duration') throw new Error("Durations may only follow 'for'");
+            if (token.type === 'operator') {
+                if (token.value !== '(') throw new Error(`Unexpected '${token.value}'`);
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            
+            if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+            if (token.value === 'null') return { type: 'literal', value: null };
+            
+            if (isOperator('(')) {
+                if (!ALERT_EXPRESSION_FUNCTIONS[token.value]) {
+                    throw new Error(`Unknown function '${token.value}'. Allowed: ${Object.keys(ALERT_EXPRESSION_FUNCTIONS).join(', ')}`);
+                }
+                index++;
+                const args = [];
+                while (!isOperator(')')) {
+                    if (args.length > 0) expect(',');
+                    args.push(parseOr());
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+            
+            if (!ALERT_EXPRESSION_ROOTS.includes(token.value)) {
+                throw new Error(`Unknown metric '${token.value}'. Expressions start from ${ALERT_EXPRESSION_ROOTS.join(', ')}`);
+            }
+            const path = [token.value];
+            while (isOperator('.', '[')) {
+                if (tokens[index++].value === '.') {
+                    const segment = tokens[index++];
+                    if (!segment || segment.type !== 'identifier') throw new Error("Expected a property name after '.'");
+                    path.push(segment.value);
+                } else {
+                    const segment = tokens[index++];
+                    if (!segment || (segment.type !== 'string' && segment.type !== 'number')) {
+                        throw new Error("Expected a string or number inside '[ ]'");
+                    }
+                    path.push(String(segment.value));
+                    expect(']');
+                }
+            }
+            if (path.some(segment => ['__proto__', 'constructor', 'prototype'].includes(segment))) {
+                throw new Error('Expression refers to a reserved property');
+            }
+            return { type: 'path', path };
+        };
+        
+        const condition = parseOr();
+        let forMs = 0;
+        if (isWord('for')) {
+            index++;
+            const duration = tokens[index++];
+            if (!duration || duration.type !== 'duration') throw new Error("Expected a duration such as 30s, 5m or 1h after 'for'");
+            if (duration.value <= 0 || duration.value > MAX_ALERT_FOR_MS) throw new Error("'for' must be between 1s and 24h");
+            forMs = duration.value;
+        }
+        if (index < tokens.length) throw new Error(`Unexpected '${tokens[index].value}'`);
+        
+        return { condition, forMs };
+    },
+    
+    evaluate(node, context) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'path': {
+                let value = context;
+                for (const segment of node.path) {
+                    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) return null;
+                    value = value[segment];
+                }
+                return value === undefined ? null : value;
+            }
+            case 'not':
+                return !this.isTruthy(this.evaluate(node.operand, context));
+            case 'negate': {
+                const value = this.evaluate(node.operand, context);
+                return typeof value === 'number' ? -value : null;
+            }
+            case 'logical': {
+                const left = this.isTruthy(this.evaluate(node.left, context));
+                if (node.op === '&&') return left && this.isTruthy(this.evaluate(node.right, context));
+                return left || this.isTruthy(this.evaluate(node.right, context));
+            }
+            case 'arithmetic': {
+                const left = this.evaluate(node.left, context);
+                const right = this.evaluate(node.right, context);
+                if (typeof left !== 'number' || typeof right !== 'number') return null;
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return right === 0 ? null : left / right;
+                }
+                return null;
+            }
+            case 'compare': {
+                const left = this.evaluate(node.left, context);
+                const right = this.evaluate(node.right, context);
+                if (left === null || right === null || typeof left === 'object' || typeof right === 'object') return false;
+                if (node.op === '==') return left === right;
+                if (node.op === '!=') return left !== right;
+                if (typeof left !== 'number' || typeof right !== 'number') return false;
+                switch (node.op) {
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                }
+                return false;
+            }
+            case 'call':
+                return ALERT_EXPRESSION_FUNCTIONS[node.name](...node.args.map(arg => this.evaluate(arg, context)));
+        }
+        return null;
+    },
+    
+    isTruthy(value) {
+        return value !== null && typeof value !== 'object' && Boolean(value);
+    },
+    
+    // Scalar values of every metric path the expression reads, for alert context
+    collectValues(node, context, values = {}) {
+        if (node.type === 'path') {
+            const value = this.evaluate(node, context);
+            values[node.path.join('.')] = value !== null && typeof value === 'object' ? null : value;
+        }
+        ['left', 'right', 'operand'].forEach(key => {
+            if (node[key]) this.collectValues(node[key], context, values);
+        });
+        (node.args || []).forEach(arg => this.collectValues(arg, context, values));
+        return values;
+    }
+};
+
+// Smart Alert Engine
+const MAX_ALERT_HISTORY = 1000;
+const MAX_ALERT_RULES = 50;
+const ALERT_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const ALERT_CHANNELS = ['webhook', 'email'];
+// Incident lifecycle: open -> acknowledged -> resolved; any unresolved
+// incident can also be snoozed, which holds back its escalation
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+const ALERT_ESCALATION_CHECK_MS = 30000;
+// Incidents still open after `afterMinutes` are sent to `channels` once more
+const DEFAULT_ALERT_ESCALATION = { severities: ['CRITICAL'], afterMinutes: 15, channels: ['webhook', 'email'] };
+
+// The original built-in alerts, seeded as editable rules for every publisher
+const DEFAULT_ALERT_RULES = [
+    {
+        id: 'high_risk_spike',
+        name: 'High Risk Traffic Spike',
+        expression: 'realTime.errorRate > 50',
+        severity: 'HIGH',
+        cooldownSeconds: 300,
+        channels: ['webhook', 'email'],
+        recommendations: [
+            'Review recent traffic patterns',
+            'Consider lowering risk thresholds temporarily',
+            'Check for coordinated attack patterns'
+        ]
+    },
+    {
+        id: 'ddos_pattern',
+        name: 'Potential DDoS Attack',
+        expression: 'realTime.currentThroughput > 1000',
+        severity: 'CRITICAL',
+        cooldownSeconds: 600,
+        channels: ['webhook', 'email'],
+        recommendations: [
+            'Enable aggressive rate limiting',
+            'Scale infrastructure immediately',
+            'Contact hosting provider if needed'
+        ]
+    },
+    {
+        id: 'geographic_anomaly',
+        name: 'Geographic Anomaly Detected',
+        expression: 'sum(country["CN"].share, country["RU"].share, country["BD"].share, country["PK"].share) > 0.6',
+        severity: 'MEDIUM',
+        cooldownSeconds: 900,
+        channels: ['webhook'],
+        recommendations: [
+            'Review geographic filtering rules',
+            'Investigate traffic sources',
+            'Consider temporary geo-blocking'
+        ]
+    },
+    {
+        id: 'rapid_clicking_surge',
+        name: 'Rapid Clicking Surge',
+        expression: 'realTime.events.rapid_clicking_detected > 20',
+        severity: 'HIGH',
+        cooldownSeconds: 600,
+        channels: ['webhook', 'email'],
+        recommendations: [
+            'Review sessions with rapid clicking events',
+            'Check ad slots for click fraud',
+            'Consider switching the policy to challenge mode'
+        ]
+    }
+];
+
+class SmartAlertEngine {
+    constructor(store = new MemoryStorage(), webhooks = null, mailer = null) {
+        this.store = store;
+        this.webhooks = webhooks;
+        this.mailer = mailer;
+        this.compiled = new Map();
+        
+        if (!this.store.get('alertRules', '_initialized')) {
+            DEFAULT_ALERT_RULES.forEach(rule => this.createRule(rule));
+            this.store.set('alertRules', '_initialized', true);
+        }
+        
+        this.alertHistory = [];
+        this.lastAlerts = new Map();
+        this.pendingSince = new Map();
+        this.restore();
+        
+        // Escalation has to happen even when no traffic triggers a check
+        setInterval(() => this.checkEscalations(), ALERT_ESCALATION_CHECK_MS).unref();
+    }
+    
+    restore() {
+        // Alerts stored before incidents existed had no lifecycle; treat them as closed
+        this.alertHistory = this.store.entries('alerts')
+            .map(([, alert]) => alert.status ? alert : { ...alert, status: 'resolved', occurrences: 1, history: [] })
+            .sort((a, b) => a.timestamp - b.timestamp);
+        
+        // Cooldowns are stored with a TTL, so only unexpired ones come back
+        this.lastAlerts = new Map(this.store.entries('alertCooldowns'));
+        this.pendingSince = new Map(this.store.entries('alertPending'));
+    }
+    
+    listRules() {
+        return this.store.entries('alertRules')
+            .filter(([id]) => id !== '_initialized')
+            .map(([, rule]) => rule)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+    
+    getRule(id) {
+        return id === '_initialized' ? null : this.store.get('alertRules', id) || null;
+    }
+    
+    compile(expression) {
+        if (!this.compiled.has(expression)) {
+            this.compiled.set(expression, AlertExpression.compile(expression));
+        }
+        return this.compiled.get(expression);
+    }
+    
+    // Returns an error message, or null when the definition is valid
+    validateRule(rule) {
+        if (!rule || typeof rule !== 'object') return 'Alert rule must be an object';
+        if (!rule.name || typeof rule.name !== 'string' || rule.name.length > 100) return 'name is required (at most 100 characters)';
+        if (!rule.expression || typeof rule.expression !== 'string') return 'expression is required';
+        try {
+            AlertExpression.compile(rule.expression);
+        } catch (error) {
+            return `Invalid expression: ${error.message}`;
+        }
+        
+        if (rule.severity !== undefined && !ALERT_SEVERITIES.includes(rule.severity)) {
+            return `severity must be one of ${ALERT_SEVERITIES.join(', ')}`;
+        }
+        if (rule.cooldownSeconds !== undefined &&
+            (typeof rule.cooldownSeconds !== 'number' || rule.cooldownSeconds < 0 || rule.cooldownSeconds > 86400)) {
+            return 'cooldownSeconds must be a number between 0 and 86400';
+        }
+        if (rule.channels !== undefined &&
+            (!Array.isArray(rule.channels) || rule.channels.some(channel => !ALERT_CHANNELS.includes(channel)))) {
+            return `channels must be a subset of ${ALERT_CHANNELS.join(', ')}`;
+        }
+        if (rule.recommendations !== undefined &&
+            (!Array.isArray(rule.recommendations) || rule.recommendations.length > 10 || rule.recommendations.some(item => typeof item !== 'string'))) {
+            return 'recommendations must be an array of at most 10 strings';
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') return 'enabled must be a boolean';
+        
+        return null;
+    }
+    
+    normalizeRule(rule, existing = {}) {
+        return {
+            id: existing.id || rule.id || `arule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: rule.name,
+            description: rule.description || '',
+            expression: rule.expression.trim(),
+            severity: rule.severity || 'MEDIUM',
+            cooldownSeconds: rule.cooldownSeconds !== undefined ? rule.cooldownSeconds : 300,
+            channels: rule.channels ? [...new Set(rule.channels)] : ['webhook'],
+            recommendations: rule.recommendations || [],
+            enabled: rule.enabled !== false,
+            createdAt: existing.createdAt || Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+    
+    createRule(definition) {
+        const rule = this.normalizeRule(definition);
+        this.store.set('alertRules', rule.id, rule);
+        return rule;
+    }
+    
+    updateRule(id, definition) {
+        const existing = this.getRule(id);
+        if (!existing) return null;
+        
+        const rule = this.normalizeRule({ ...existing, ...definition }, existing);
+        this.store.set('alertRules', id, rule);
+        this.clearPending(id);
+        return rule;
+    }
+    
+    deleteRule(id) {
+        if (!this.getRule(id)) return false;
+        this.clearPending(id);
+        return this.store.delete('alertRules', id);
+    }
+    
+    clearPending(ruleId) {
+        if (this.pendingSince.delete(ruleId)) this.store.delete('alertPending', ruleId);
+    }
+    
+    checkAlerts(metrics) {
+        const alerts = [];
+        const now = Date.now();
+        
+        this.listRules().forEach(rule => {
+            if (!rule.enabled) return;
+            
+            const { condition, forMs } = this.compile(rule.expression);
+            if (!AlertExpression.isTruthy(AlertExpression.evaluate(condition, metrics))) {
+                this.clearPending(rule.id);
+                return;
+            }
+            
+            // `for` rules fire only once the condition has held long enough
+            if (forMs > 0) {
+                if (!this.pendingSince.has(rule.id)) {
+                    this.pendingSince.set(rule.id, now);
+                    this.store.set('alertPending', rule.id, now, { ttlMs: MAX_ALERT_FOR_MS });
+                }
+                if (now - this.pendingSince.get(rule.id) < forMs) return;
+            }
+            
+            // Check cooldown period
+            const lastAlert = this.lastAlerts.get(rule.id);
+            if (lastAlert && (now - lastAlert) < rule.cooldownSeconds * 1000) return;
+            
+            this.lastAlerts.set(rule.id, now);
+            if (rule.cooldownSeconds > 0) {
+                this.store.set('alertCooldowns', rule.id, now, { ttlMs: rule.cooldownSeconds * 1000 });
+            }
+            
+            // Repeated firings are grouped into the rule's unresolved incident
+            const values = AlertExpression.collectValues(condition, metrics);
+            const incident = this.findUnresolved(rule.id);
+            if (incident) {
+                this.addOccurrence(incident, rule, metrics, values);
+                return;
+            }
+            
+            const alert = this.createAlert(rule, metrics, values);
+            alerts.push(alert);
+            this.processAlert(alert);
+        });
+        
+        return alerts;
+    }
+    
+    describeCondition(rule, values) {
+        const observed = Object.entries(values).map(([path, value]) => `${path} = ${value}`).join(', ');
+        return rule.description || `${rule.expression}${observed ? ` (${observed})` : ''}`;
+    }
+    
+    createAlert(rule, metrics, values) {
+        const now = Date.now();
+        const alert = {
+            id: `alert_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            ruleId: rule.id,
+            name: rule.name,
+            severity: rule.severity,
+            status: 'open',
+            timestamp: now,
+            lastSeenAt: now,
+            occurrences: 1,
+            metrics: metrics.realTime,
+            expression: rule.expression,
+            values,
+            channels: rule.channels,
+            description: this.describeCondition(rule, values),
+            recommendations: rule.recommendations.length > 0 ? rule.recommendations : ['Investigate alert condition'],
+            owner: null,
+            acknowledgedAt: null,
+            resolvedAt: null,
+            snoozedUntil: null,
+            escalatedAt: null,
+            history: [{ at: now, action: 'opened', by: null, note: null }]
+        };
+        
+        this.alertHistory.push(alert);
+        this.store.set('alerts', alert.id, alert);
+        
+        // Keep only the most recent alerts
+        while (this.alertHistory.length > MAX_ALERT_HISTORY) {
+            this.store.delete('alerts', this.alertHistory.shift().id);
+        }
+        
+        return alert;
+    }
+    
+    addOccurrence(incident, rule, metrics, values) {
+        incident.occurrences++;
+        incident.lastSeenAt = Date.now();
+        incident.metrics = metrics.realTime;
+        incident.values = values;
+        incident.description = this.describeCondition(rule, values);
+        this.store.set('alerts', incident.id, incident);
+    }
+    
+    findUnresolved(ruleId) {
+        for (let i = this.alertHistory.length - 1; i >= 0; i--) {
+            const alert = this.alertHistory[i];
+            if (alert.ruleId === ruleId && alert.status !== 'resolved') return alert;
+        }
+        return null;
+    }
+    
+    getAlert(id) {
+        return this.alertHistory.find(alert => alert.id === id) || null;
+    }
+    
+    processAlert(alert) {
+        console.log(`🚨 ALERT [${alert.severity}]: ${alert.name}`);
+        console.log(`   Description: ${alert.description}`);
+        
+        this.notify(alert, 'alert.triggered', alert.channels);
+    }
+    
+    // Email goes out only for new and escalated incidents; every transition reaches webhooks
+    notify(alert, event, channels) {
+        if (this.webhooks && channels.includes('webhook')) {
+            this.webhooks.dispatch(event, { alert: this.describeAlert(alert) });
+        }
+        
+        if (this.mailer && channels.includes('email') && ['alert.triggered', 'alert.escalated'].includes(event)) {
+            this.mailer.notify(alert, { escalated: event === 'alert.escalated' });
+        }
+    }
+    
+    // Move an incident through its lifecycle; throws an HTTP error for invalid transitions
+    transition(id, action, { by = null, note = null, minutes } = {}) {
+        const alert = this.getAlert(id);
+        if (!alert) throw createHttpError(404, 'Alert not found');
+        if (alert.status === 'resolved') throw createHttpError(409, 'Alert is already resolved');
+        
+        const now = Date.now();
+        switch (action) {
+            case 'acknowledge':
+                if (alert.status === 'acknowledged') throw createHttpError(409, 'Alert is already acknowledged');
+                alert.status = 'acknowledged';
+                alert.acknowledgedAt = now;
+                alert.owner = by;
+                break;
+            case 'resolve':
+                alert.status = 'resolved';
+                alert.resolvedAt = now;
+                alert.snoozedUntil = null;
+                alert.owner = alert.owner || by;
+                break;
+            case 'snooze':
+                if (typeof minutes !== 'number' || minutes < 0 || minutes > MAX_SNOOZE_MINUTES) {
+                    throw createHttpError(400, `minutes must be a number between 0 and ${MAX_SNOOZE_MINUTES}`);
+                }
+                // Snoozing for 0 minutes lifts the snooze
+                alert.snoozedUntil = minutes > 0 ? now + minutes * 60 * 1000 : null;
+                break;
+            default:
+                throw createHttpError(400, `Unknown alert action '${action}'`);
+        }
+        
+        const entry = { at: now, action: action === 'snooze' ? 'snoozed' : `${action}d`, by, note };
+        if (action === 'snooze') entry.until = alert.snoozedUntil;
+        alert.history.push(entry);
+        this.store.set('alerts', alert.id, alert);
+        
+        if (action !== 'snooze') {
+            this.notify(alert, `alert.${action}d`, alert.channels);
+        }
+        return alert;
+    }
+    
+    getEscalation() {
+        return { ...DEFAULT_ALERT_ESCALATION, ...(this.store.get('alertSettings', 'escalation') || {}) };
+    }
+    
+    // Returns an error message, or null when the settings are valid
+    validateEscalation(settings) {
+        if (!settings || typeof settings !== 'object') return 'Escalation settings must be an object';
+        if (settings.afterMinutes !== undefined &&
+            (typeof settings.afterMinutes !== 'number' || settings.afterMinutes < 1 || settings.afterMinutes > 1440)) {
+            return 'afterMinutes must be a number between 1 and 1440';
+        }
+        if (settings.channels !== undefined &&
+            (!Array.isArray(settings.channels) || settings.channels.some(channel => !ALERT_CHANNELS.includes(channel)))) {
+            return `channels must be a subset of ${ALERT_CHANNELS.join(', ')}`;
+        }
+        if (settings.severities !== undefined &&
+            (!Array.isArray(settings.severities) || settings.severities.some(severity => !ALERT_SEVERITIES.includes(severity)))) {
+            return `severities must be a subset of ${ALERT_SEVERITIES.join(', ')}`;
+        }
+        return null;
+    }
+    
+    setEscalation({ severities, afterMinutes, channels }) {
+        const current = this.getEscalation();
+        const settings = {
+            severities: severities !== undefined ? [...new Set(severities)] : current.severities,
+            afterMinutes: afterMinutes !== undefined ? afterMinutes : current.afterMinutes,
+            channels: channels !== undefined ? [...new Set(channels)] : current.channels
+        };
+        this.store.set('alertSettings', 'escalation', settings);
+        return settings;
+    }
+    
+    // Unacknowledged incidents escalate once; a snooze holds escalation back until it ends
+    checkEscalations() {
+        const settings = this.getEscalation();
+        const now = Date.now();
+        
+        this.alertHistory.forEach(alert => {
+            if (alert.status !== 'open' || alert.escalatedAt || !settings.severities.includes(alert.severity)) return;
+            if (alert.snoozedUntil && alert.snoozedUntil > now) return;
+            if (now - alert.timestamp < settings.afterMinutes * 60 * 1000) return;
+            
+            alert.escalatedAt = now;
+            alert.history.push({ at: now, action: 'escalated', by: null, note: `Unacknowledged for ${settings.afterMinutes} minutes` });
+            this.store.set('alerts', alert.id, alert);
+            
+            console.log(`📣 ESCALATED [${alert.severity}]: ${alert.name} (open since ${new Date(alert.timestamp).toISOString()})`);
+            this.notify(alert, 'alert.escalated', settings.channels);
+        });
+    }
+    
+    describeAlert(alert) {
+        const toISO = value => value ? new Date(value).toISOString() : null;
+        return {
+            ...alert,
+            timestamp: toISO(alert.timestamp),
+            lastSeenAt: toISO(alert.lastSeenAt),
+            acknowledgedAt: toISO(alert.acknowledgedAt),
+            resolvedAt: toISO(alert.resolvedAt),
+            snoozedUntil: toISO(alert.snoozedUntil),
+            escalatedAt: toISO(alert.escalatedAt),
+            history: alert.history.map(entry => entry.until !== undefined
+                ? { ...entry, at: toISO(entry.at), until: toISO(entry.until) }
+                : { ...entry, at: toISO(entry.at) })
+        };
+    }
+    
+    // status may be one of ALERT_STATUSES, or 'active' for unresolved incidents that are not snoozed
+    getAlertHistory(limit = 50, status = null) {
+        const now = Date.now();
+        const matches = status === 'active'
+            ? alert => alert.status !== 'resolved' && !(alert.snoozedUntil && alert.snoozedUntil > now)
+            : alert => !status || alert.status === status;
+        return this.alertHistory.filter(matches).slice(-limit).reverse();
+    }
+    
+    getStatusCounts() {
+        const counts = { open: 0, acknowledged: 0, resolved: 0, snoozed: 0 };
+        const now = Date.now();
+        this.alertHistory.forEach(alert => {
+            counts[alert.status]++;
+            if (alert.status !== 'resolved' && alert.snoozedUntil && alert.snoozedUntil > now) counts.snoozed++;
+        });
+        return counts;
+    }
+}
+
+// Email Notifications
+// A minimal SMTP client (EHLO, STARTTLS, AUTH PLAIN, one message per
+// connection) plus per-publisher recipients. Credentials are only ever sent
+// over TLS, and publisher SMTP hosts are held to the same public-address check
+// as webhooks (see Outbound Destinations) on the usual submission ports.
+// Each recipient has a minimum severity; with a digest set, alerts below
+// `immediateSeverity` are batched into an hourly or daily summary instead of
+// being mailed one by one. scripts/smtp-stand-in.js is a local server for
+// trying this out: run it, set TRAFFIC_COP_ALLOW_PRIVATE_DESTINATIONS=true and
+// point smtp.host at localhost:2525.
+const SMTP_DEFAULTS = {
+    host: process.env.TRAFFIC_COP_SMTP_HOST || null,
+    port: parseInt(process.env.TRAFFIC_COP_SMTP_PORT, 10) || 587,
+    secure: process.env.TRAFFIC_COP_SMTP_SECURE === 'true',
+    username: process.env.TRAFFIC_COP_SMTP_USER || null,
+    password: process.env.TRAFFIC_COP_SMTP_PASSWORD || null,
+    from: process.env.TRAFFIC_COP_SMTP_FROM || 'Traffic Cop <alerts@traffic-cop.local>'
+};
+const SMTP_TIMEOUT_MS = 10000;
+const SMTP_PORTS = [25, 465, 587, 2525];
+// SMTP replies quoted in errors are cut to this length
+const MAX_SMTP_ERROR_LENGTH = 200;
+const MAX_EMAIL_RECIPIENTS = 20;
+const MAX_DIGEST_ITEMS = 200;
+const DIGEST_INTERVALS_MS = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+const DIGEST_CHECK_MS = 60000;
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>"',;]+@[^\s@<>"',;]+\.[^\s@<>"',;]+$/;
+
+// One SMTP session over a socket; replies are queued until a command reads them
+class SMTPConnection {
+    constructor(socket) {
+        this.replies = [];
+        this.waiting = null;
+        this.error = null;
+        this.attach(socket);
+    }
+    
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners('data');
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+    
+    onData(chunk) {
+        this.buffer += chunk.toString();
+        let end;
+        while ((end = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, end).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(end + 1);
+            this.lines.push(line);
+            
+            // "250-..." continues a multi-line reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: parseInt(line, 10), lines: this.lines.map(entry => entry.substring(4)) };
+                this.lines = [];
+                if (this.waiting) {
+                    const { resolve } = this.waiting;
+                    this.waiting = null;
+                    resolve(reply);
+                } else {
+                    this.replies.push(reply);
+                }
+            }
+        }
+    }
+    
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+    
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => { this.waiting = { resolve, reject }; });
+    }
+    
+    // `label` names the command in errors, so credentials and message bodies never end up there
+    async command(line, expectedCode, label = line) {
+        if (line !== null) this.socket.write(line + '\r\n');
+        const reply = await this.read();
+        if (reply.code !== expectedCode) {
+            const text = reply.lines.join(' ').substring(0, MAX_SMTP_ERROR_LENGTH);
+            throw new Error(`SMTP ${label || 'greeting'} failed: ${reply.code} ${text}`);
+        }
+        return reply;
+    }
+}
+
+function encodeMimeBase64(text) {
+    return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+function buildMimeMessage({ from, to, subject, text, html }) {
+    const boundary = 'tc_' + crypto.randomBytes(12).toString('hex');
+    const fromDomain = (from.match(/@([^>\s]+)/) || [null, 'traffic-cop.local'])[1];
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: =?UTF-8?B?${Buffer.from(subject.replace(/[\r\n]+/g, ' '), 'utf8').toString('base64')}?=`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${fromDomain}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeMimeBase64(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeMimeBase64(html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+// Publisher-supplied servers (checkDestination) must be public; the server-wide
+// defaults are the operator's own and may point at an internal relay
+async function sendMail(smtp, message, { checkDestination = true } = {}) {
+    const lookup = checkDestination ? guardedLookup : dns.lookup;
+    if (checkDestination) {
+        const destinationError = await checkDestinationHost(smtp.host);
+        if (destinationError) throw new Error(destinationError);
+    }
+    
+    const socket = smtp.secure
+        ? tls.connect({ host: smtp.host, port: smtp.port, servername: smtp.host, lookup })
+        : net.connect({ host: smtp.host, port: smtp.port, lookup });
+    const connection = new SMTPConnection(socket);
+    const hostname = 'traffic-cop.local';
+    let encrypted = smtp.secure;
+    
+    try {
+        await connection.command(null, 220);
+        let hello = await connection.command(`EHLO ${hostname}`, 250);
+        
+        // Upgrade plain connections whenever the server offers it
+        if (!smtp.secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+            await connection.command('STARTTLS', 220);
+            connection.attach(tls.connect({ socket, servername: smtp.host }));
+            encrypted = true;
+            hello = await connection.command(`EHLO ${hostname}`, 250);
+        }
+        
+        if (smtp.username) {
+            // Without TLS (or with STARTTLS stripped by a man in the middle) AUTH PLAIN would leak the password
+            if (!encrypted) throw new Error('SMTP server does not offer TLS; refusing to send credentials in cleartext');
+            const credentials = Buffer.from(`\u0000${smtp.username}\u0000${smtp.password || ''}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, 235, 'AUTH');
+        }
+        
+        const sender = (smtp.from.match(/<([^>]+)>/) || [null, smtp.from])[1];
+        await connection.command(`MAIL FROM:<${sender}>`, 250);
+        for (const recipient of message.to) {
+            await connection.command(`RCPT TO:<${recipient}>`, 250);
+        }
+        await connection.command('DATA', 354);
+        
+        // Dot-stuff lines that start with '.'
+        const data = buildMimeMessage({ ...message, from: smtp.from }).replace(/^\./gm, '..');
+        await connection.command(`${data}\r\n.`, 250, 'message body');
+        await connection.command('QUIT', 221).catch(() => {});
+    } finally {
+        connection.socket.destroy();
+    }
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const SEVERITY_COLORS = { LOW: '#4CAF50', MEDIUM: '#FF9800', HIGH: '#F44336', CRITICAL: '#B71C1C' };
+
+const EmailTemplates = {
+    layout(title, color, bodyHtml) {
+        return `<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; color: #333; background: #f5f5f5; padding: 20px;">
+<div style="max-width: 640px; margin: 0 auto; background: white; border-radius: 8px; overflow: hidden;">
+<div style="background: ${color}; color: white; padding: 16px 24px;"><h2 style="margin: 0;">${escapeHtml(title)}</h2></div>
+<div style="padding: 24px;">${bodyHtml}</div>
+<div style="padding: 12px 24px; color: #999; font-size: 12px;">Sent by Traffic Cop</div>
+</div></body></html>`;
+    },
+    
+    table(rows) {
+        return `<table style="border-collapse: collapse; width: 100%;">${rows.map(([key, value]) =>
+            `<tr><td style="padding: 4px 8px; border-bottom: 1px solid #eee; color: #666;">${escapeHtml(key)}</td>` +
+            `<td style="padding: 4px 8px; border-bottom: 1px solid #eee;">${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+    },
+    
+    // Flat key/value rows of the real-time metrics at the time of the alert
+    metricRows(metrics) {
+        const rows = [];
+        Object.entries(metrics || {}).forEach(([key, value]) => {
+            if (value !== null && typeof value === 'object') {
+                Object.entries(value).forEach(([subKey, subValue]) => rows.push([`${key}.${subKey}`, subValue]));
+            } else {
+                rows.push([key, typeof value === 'number' ? Math.round(value * 100) / 100 : value]);
+            }
+        });
+        return rows;
+    },
+    
+    alert(alert, { escalated = false } = {}) {
+        const title = `${escalated ? 'ESCALATED ' : ''}${alert.severity}: ${alert.name}`;
+        const details = [
+            ['Status', alert.status],
+            ['Occurrences', alert.occurrences],
+            ['Opened', new Date(alert.timestamp).toISOString()],
+            ['Rule', alert.expression]
+        ];
+        const metrics = this.metricRows(alert.metrics);
+        
+        const text = [
+            title,
+            '',
+            alert.description,
+            '',
+            ...details.map(([key, value]) => `${key}: ${value}`),
+            '',
+            'Recommendations:',
+            ...alert.recommendations.map(item => `- ${item}`),
+            '',
+            'Metrics snapshot:',
+            ...metrics.map(([key, value]) => `  ${key}: ${value}`)
+        ].join('\n');
+        
+        const html = this.layout(title, SEVERITY_COLORS[alert.severity] || '#607D8B', `
+<p style="font-size: 16px;">${escapeHtml(alert.description)}</p>
+${this.table(details)}
+<h3>Recommendations</h3>
+<ul>${alert.recommendations.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+<h3>Metrics snapshot</h3>
+${this.table(metrics)}`);
+        
+        return { subject: `[Traffic Cop] ${title}`, text, html };
+    },
+    
+    digest(items, period) {
+        const title = `${period === 'daily' ? 'Daily' : 'Hourly'} alert digest: ${items.length} alert${items.length === 1 ? '' : 's'}`;
+        const rows = items.map(item => [
+            `${new Date(item.at).toISOString()} ${item.severity}`,
+            `${item.name} - ${item.description}`
+        ]);
+        
+        const text = [title, '', ...rows.map(([when, what]) => `${when}  ${what}`)].join('\n');
+        const html = this.layout(title, '#607D8B', this.table(rows));
+        return { subject: `[Traffic Cop] ${title}`, text, html };
+    },
+    
+    test(publisherId) {
+        const title = 'Test email';
+        const text = `Email notifications for publisher ${publisherId} are working.`;
+        return { subject: `[Traffic Cop] ${title}`, text, html: this.layout(title, '#2196F3', `<p>${escapeHtml(text)}</p>`) };
+    }
+};
+
+class AlertMailer {
+    constructor(store, publisherId) {
+        this.store = store;
+        this.publisherId = publisherId;
+        this.digests = store.collection('emailDigests');
+        
+        setInterval(() => this.flushDigests(), DIGEST_CHECK_MS).unref();
+    }
+    
+    getSettings() {
+        return this.store.get('emailSettings', 'settings') || { smtp: null, recipients: [] };
+    }
+    
+    // Publisher SMTP settings win over the server-wide TRAFFIC_COP_SMTP_* defaults
+    getSmtp() {
+        const smtp = { ...SMTP_DEFAULTS, ...(this.getSettings().smtp || {}) };
+        return smtp.host ? smtp : null;
+    }
+    
+    // Returns an error message, or null when the settings are valid
+    validateSettings(settings) {
+        if (!settings || typeof settings !== 'object') return 'Email settings must be an object';
+        
+        const smtp = settings.smtp;
+        if (smtp !== undefined && smtp !== null) {
+            if (typeof smtp !== 'object') return 'smtp must be an object or null';
+            if (typeof smtp.host !== 'string' || !/^[A-Za-z0-9.-]{1,253}$/.test(smtp.host)) return 'smtp.host must be a hostname';
+            if (smtp.port !== undefined && !SMTP_PORTS.includes(smtp.port)) {
+                return `smtp.port must be one of ${SMTP_PORTS.join(', ')}`;
+            }
+            if (smtp.secure !== undefined && typeof smtp.secure !== 'boolean') return 'smtp.secure must be a boolean';
+            if (smtp.from !== undefined && (typeof smtp.from !== 'string' || /[\r\n]/.test(smtp.from) || !/@/.test(smtp.from))) {
+                return 'smtp.from must be an email address';
+            }
+        }
+        
+        if (settings.recipients !== undefined) {
+            if (!Array.isArray(settings.recipients) || settings.recipients.length > MAX_EMAIL_RECIPIENTS) {
+                return `recipients must be an array of at most ${MAX_EMAIL_RECIPIENTS} entries`;
+            }
+            for (const recipient of settings.recipients) {
+                if (!recipient || typeof recipient.email !== 'string' || !EMAIL_ADDRESS_PATTERN.test(recipient.email)) {
+                    return 'Every recipient needs a valid email';
+                }
+                if (recipient.minSeverity !== undefined && !ALERT_SEVERITIES.includes(recipient.minSeverity)) {
+                    return `minSeverity must be one of ${ALERT_SEVERITIES.join(', ')}`;
+                }
+                if (recipient.immediateSeverity !== undefined && !ALERT_SEVERITIES.includes(recipient.immediateSeverity)) {
+                    return `immediateSeverity must be one of ${ALERT_SEVERITIES.join(', ')}`;
+                }
+                if (recipient.digest !== undefined && recipient.digest !== null && !DIGEST_INTERVALS_MS[recipient.digest]) {
+                    return "digest must be 'hourly', 'daily' or null";
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    // Async half of validation: a publisher SMTP host must resolve to a public address
+    async checkDestination(settings) {
+        return settings.smtp ? checkDestinationHost(settings.smtp.host) : null;
+    }
+    
+    setSettings({ smtp, recipients }) {
+        const current = this.getSettings();
+        const settings = {
+            smtp: smtp === undefined ? current.smtp : smtp && {
+                host: smtp.host,
+                port: smtp.port || 587,
+                secure: Boolean(smtp.secure),
+                username: smtp.username || null,
+                // An omitted password keeps the stored one
+                password: smtp.password !== undefined ? smtp.password : (current.smtp && current.smtp.password) || null,
+                from: smtp.from || SMTP_DEFAULTS.from
+            },
+            recipients: recipients === undefined ? current.recipients : recipients.map(recipient => ({
+                email: recipient.email,
+                minSeverity: recipient.minSeverity || 'LOW',
+                immediateSeverity: recipient.immediateSeverity || 'HIGH',
+                digest: recipient.digest || null
+            }))
+        };
+        this.store.set('emailSettings', 'settings', settings);
+        return settings;
+    }
+    
+    // Settings view with the SMTP password masked
+    describe() {
+        const settings = this.getSettings();
+        const smtp = this.getSmtp();
+        return {
+            smtp: smtp && { ...smtp, password: smtp.password ? '********' : null, source: settings.smtp ? 'publisher' : 'server' },
+            recipients: settings.recipients.map(recipient => ({
+                ...recipient,
+                queuedForDigest: (this.digests.get(recipient.email) || { items: [] }).items.length
+            })),
+            stats: this.store.get('emailStats', 'totals') || { sent: 0, failed: 0, lastSentAt: null, lastError: null }
+        };
+    }
+    
+    recordOutcome(error) {
+        const stats = this.store.get('emailStats', 'totals') || { sent: 0, failed: 0, lastSentAt: null, lastError: null };
+        if (error) {
+            stats.failed++;
+            stats.lastError = { message: error.message, at: new Date().toISOString() };
+        } else {
+            stats.sent++;
+            stats.lastSentAt = new Date().toISOString();
+        }
+        this.store.set('emailStats', 'totals', stats);
+    }
+    
+    async send(to, content) {
+        const smtp = this.getSmtp();
+        if (!smtp) throw new Error('SMTP is not configured');
+        
+        try {
+            await sendMail(smtp, { to, ...content }, { checkDestination: Boolean(this.getSettings().smtp) });
+            this.recordOutcome(null);
+        } catch (error) {
+            this.recordOutcome(error);
+            throw error;
+        }
+    }
+    
+    // Mail an alert now, or queue it for each recipient's digest
+    notify(alert, { escalated = false } = {}) {
+        const severity = ALERT_SEVERITIES.indexOf(alert.severity);
+        const immediate = [];
+        
+        this.getSettings().recipients.forEach(recipient => {
+            if (severity < ALERT_SEVERITIES.indexOf(recipient.minSeverity)) return;
+            
+            // Escalations are urgent by definition
+            if (escalated || !recipient.digest || severity >= ALERT_SEVERITIES.indexOf(recipient.immediateSeverity)) {
+                immediate.push(recipient.email);
+            } else {
+                this.queueDigest(recipient, alert);
+            }
+        });
+        
+        if (immediate.length === 0) return;
+        console.log(`📧 Sending email alert to ${immediate.join(', ')}`);
+        this.send(immediate, EmailTemplates.alert(alert, { escalated }))
+            .catch(error => console.warn(`⚠️ Email alert "${alert.name}" failed: ${error.message}`));
+    }
+    
+    queueDigest(recipient, alert) {
+        const digest = this.digests.get(recipient.email) || { items: [], lastSentAt: Date.now() };
+        digest.items.push({
+            alertId: alert.id,
+            name: alert.name,
+            severity: alert.severity,
+            description: alert.description,
+            at: alert.timestamp
+        });
+        if (digest.items.length > MAX_DIGEST_ITEMS) digest.items.shift();
+        this.digests.set(recipient.email, digest);
+    }
+    
+    flushDigests() {
+        const now = Date.now();
+        this.getSettings().recipients.forEach(recipient => {
+            const digest = this.digests.get(recipient.email);
+            if (!digest || digest.items.length === 0 || !recipient.digest) return;
+            if (now - digest.lastSentAt < DIGEST_INTERVALS_MS[recipient.digest]) return;
+            
+            // Clear first so a slow or failing server does not resend the same batch
+            const items = digest.items;
+            this.digests.set(recipient.email, { items: [], lastSentAt: now });
+            this.send([recipient.email], EmailTemplates.digest(items, recipient.digest))
+                .catch(error => console.warn(`⚠️ Email digest to ${recipient.email} failed: ${error.message}`));
+        });
+    }
+    
+    // Send a test message and report per recipient, for checking a new configuration
+    async sendTest(recipients) {
+        const results = [];
+        for (const email of recipients) {
+            try {
+                await this.send([email], EmailTemplates.test(this.publisherId));
+                results.push({ email, sent: true });
+            } catch (error) {
+                results.push({ email, sent: false, error: error.message });
+            }
+        }
+        return results;
+    }
+}
+
+// Detection Rules Engine
+// Publisher-defined rules over visitor fields. Rules run in ascending priority;
+// each match adds its score delta and threat label, the first matching rule that
+// forces an action decides the action, and stopProcessing ends evaluation.
+const RULE_FIELDS = [
+    'userAgent', 'countryCode', 'asn', 'org', 'ip', 'isDatacenter', 'isTor', 'isKnownBad',
+    'referrer', 'referrerDomain', 'url', 'urlPath', 'screenResolution', 'viewportSize',
+    'language', 'timezone', 'platform', 'languageCountryMismatch', 'timezoneCountryMismatch',
+    'webdriver', 'automationArtifacts', 'fingerprintInconsistencies'
+];
+const RULE_OPERATORS = [
+    'equals', 'notEquals', 'in', 'notIn', 'contains', 'matches', 'notMatches',
+    'gt', 'gte', 'lt', 'lte', 'exists', 'notExists'
+];
+const RULE_ACTIONS = ['allow', 'monitor', 'challenge', 'block'];
+
+// The original built-in checks, seeded as editable rules for every publisher
+const DEFAULT_DETECTION_RULES = [
+    {
+        name: 'Bot detected in user agent',
+        priority: 100,
+        match: 'all',
+        conditions: [{ field: 'userAgent', operator: 'matches', value: 'bot', flags: 'i' }],
+        scoreDelta: 40,
+        threat: 'Bot detected in user agent'
+    },
+    {
+        name: 'Suspicious screen resolution',
+        priority: 110,
+        match: 'any',
+        conditions: [
+            { field: 'screenResolution', operator: 'equals', value: '1024x768' },
+            { field: 'screenResolution', operator: 'notExists' }
+        ],
+        scoreDelta: 25,
+        threat: 'Suspicious screen resolution'
+    },
+    {
+        name: 'High-risk geographic location',
+        priority: 120,
+        match: 'all',
+        conditions: [{ field: 'countryCode', operator: 'in', value: ['CN', 'RU', 'BD'] }],
+        scoreDelta: 30,
+        threat: 'High-risk geographic location'
+    },
+    {
+        name: 'WebDriver-controlled browser',
+        priority: 130,
+        match: 'all',
+        conditions: [{ field: 'webdriver', operator: 'equals', value: true }],
+        scoreDelta: 50,
+        threat: 'navigator.webdriver is set'
+    }
+];
+
+// Continent of common countries, used to sanity-check IANA timezone regions
+const COUNTRY_CONTINENTS = {
+    America: ['US', 'CA', 'MX', 'BR', 'AR', 'CL', 'CO', 'PE', 'VE', 'EC', 'GT', 'CU', 'DO', 'PR', 'JM', 'UY', 'PY', 'BO', 'CR', 'PA'],
+    Europe: ['GB', 'IE', 'DE', 'FR', 'ES', 'PT', 'IT', 'NL', 'BE', 'LU', 'CH', 'AT', 'PL', 'CZ', 'SK', 'HU', 'RO', 'BG', 'GR',
+        'SE', 'NO', 'DK', 'FI', 'EE', 'LV', 'LT', 'UA', 'BY', 'RU', 'RS', 'HR', 'SI', 'BA', 'MD', 'IS', 'TR'],
+    Asia: ['CN', 'JP', 'KR', 'IN', 'PK', 'BD', 'ID', 'VN', 'TH', 'MY', 'SG', 'PH', 'HK', 'TW', 'AE', 'SA', 'IL', 'IR', 'IQ',
+        'KZ', 'UZ', 'NP', 'LK', 'MM', 'KH', 'QA', 'KW', 'JO', 'LB', 'RU', 'TR'],
+    Africa: ['NG', 'EG', 'ZA', 'KE', 'MA', 'DZ', 'TN', 'GH', 'ET', 'UG', 'TZ', 'SN', 'CI', 'CM', 'AO'],
+    Australia: ['AU'],
+    Pacific: ['NZ', 'FJ', 'PG']
+};
+
+function getReferrerDomain(referrer) {
+    try {
+        return referrer ? new URL(referrer).hostname.toLowerCase() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getUrlPath(url) {
+    try {
+        return url ? new URL(url).pathname : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getLanguageCountryMismatch(language, countryCode) {
+    if (!language || !countryCode || countryCode === 'XX') return false;
+    const region = String(language).split('-')[1];
+    return Boolean(region) && region.toUpperCase() !== countryCode;
+}
+
+function getTimezoneCountryMismatch(timezone, countryCode) {
+    if (!timezone || !countryCode || countryCode === 'XX') return false;
+    const continent = String(timezone).split('/')[0];
+    const countries = COUNTRY_CONTINENTS[continent];
+    if (!countries) return false;
+    
+    // Only judge countries we know the continent of
+    const known = Object.values(COUNTRY_CONTINENTS).some(list => list.includes(countryCode));
+    return known && !countries.includes(countryCode);
+}
+
+// Publisher regexes run against attacker-controlled strings in a process shared by every
+// tenant, so only patterns without catastrophic backtracking are accepted: no backreferences,
+// no repeated group that itself repeats or alternates, and a bounded amount of backtracking
+// overall. Every quantifier is charged log2 of the number of lengths it can match (an unbounded
+// one as many as the input is long), so MAX_RULE_REGEX_COST caps the paths the engine may try
+// per starting position at 2^MAX_RULE_REGEX_COST. Matching also only looks at the first
+// MAX_RULE_MATCH_INPUT characters.
+const MAX_RULE_MATCH_INPUT = 1024;
+const MAX_RULE_REGEX_COST = 12;
+
+function readRegexQuantifier(pattern, index) {
+    const char = pattern[index];
+    if (char === '*' || char === '+') return { length: 1, span: Infinity };
+    if (char === '?') return { length: 1, span: 1 };
+    if (char !== '{') return null;
+    
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.substring(index));
+    if (!match) return null;
+    let span = 0;
+    if (match[2] !== undefined) span = match[3] === '' ? Infinity : Math.max(0, Number(match[3]) - Number(match[1]));
+    return { length: match[0].length, span };
+}
+
+function getQuantifierCost({ span }) {
+    return Math.log2(Math.min(span, MAX_RULE_MATCH_INPUT) + 1);
+}
+
+// Returns why a pattern is refused, or null when it is safe to run
+function findUnsafeRegexConstruct(pattern) {
+    const groups = [{ repeats: false, alternates: false }];
+    let closedGroup = null;
+    let cost = 0;
+    
+    for (let i = 0; i < pattern.length; i++) {
+        const quantifier = readRegexQuantifier(pattern, i);
+        if (quantifier) {
+            if (closedGroup && (closedGroup.repeats || closedGroup.alternates)) {
+                return 'Repeated groups may not contain repeats or alternation';
+            }
+            cost += getQuantifierCost(quantifier);
+            if (cost > MAX_RULE_REGEX_COST) {
+                return 'Too many or too wide repeats (*, +, ?, {n,m}); at most one may be unbounded';
+            }
+            groups[groups.length - 1].repeats = true;
+            i += quantifier.length - 1;
+            if (pattern[i + 1] === '?') i++; // lazy suffix
+            closedGroup = null;
+            continue;
+        }
+        closedGroup = null;
+        
+        const char = pattern[i];
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'Backreferences are not allowed';
+            i++;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false, alternates: false });
+            // Skip (?: (?= (?! (?<= (?<! and (?<name> so their '?' is not read as a repeat
+            if (pattern[i + 1] === '?') {
+                if (pattern[i + 2] === '<' && !['=', '!'].includes(pattern[i + 3])) {
+                    i = pattern.indexOf('>', i) === -1 ? pattern.length : pattern.indexOf('>', i);
+                } else {
+                    i += pattern[i + 2] === '<' ? 3 : 2;
+                }
+            }
+        } else if (char === ')' && groups.length > 1) {
+            closedGroup = groups.pop();
+            const parent = groups[groups.length - 1];
+            parent.repeats = parent.repeats || closedGroup.repeats;
+            parent.alternates = parent.alternates || closedGroup.alternates;
+        } else if (char === '|') {
+            groups[groups.length - 1].alternates = true;
+        }
+    }
+    
+    return null;
+}
+
+// Flatten visitor data plus server-side network facts into rule fields
+function buildRuleContext(visitorData) {
+    const reputation = visitorData.ipReputation || {};
+    const geo = visitorData.geo || {};
+    const fingerprint = inspectFingerprint(visitorData);
+    
+    return {
+        userAgent: visitorData.userAgent || null,
+        countryCode: visitorData.countryCode || null,
+        asn: visitorData.asn || null,
+        org: geo.org || null,
+        ip: visitorData.ip || null,
+        isDatacenter: Boolean(reputation.isDatacenter),
+        isTor: Boolean(reputation.isTor),
+        isKnownBad: Boolean(reputation.isKnownBad),
+        referrer: visitorData.referrer || null,
+        referrerDomain: getReferrerDomain(visitorData.referrer),
+        url: visitorData.url || null,
+        urlPath: getUrlPath(visitorData.url),
+        screenResolution: visitorData.screenResolution || null,
+        viewportSize: visitorData.viewportSize || null,
+        language: visitorData.language || null,
+        timezone: visitorData.timezone || null,
+        platform: visitorData.platform || null,
+        languageCountryMismatch: getLanguageCountryMismatch(visitorData.language, visitorData.countryCode),
+        timezoneCountryMismatch: getTimezoneCountryMismatch(visitorData.timezone, visitorData.countryCode),
+        webdriver: Boolean(visitorData.fingerprint && visitorData.fingerprint.webdriver === true),
+        automationArtifacts: fingerprint.automation.length,
+        fingerprintInconsistencies: fingerprint.inconsistencies.length
+    };
+}
+
+class DetectionRuleEngine {
+    constructor(store) {
+        this.store = store;
+        this.regexCache = new Map();
+        
+        if (!this.store.get('rules', '_initialized')) {
+            DEFAULT_DETECTION_RULES.forEach(rule => this.create(rule));
+            this.store.set('rules', '_initialized', true);
+        }
+    }
+    
+    list() {
+        return this.store.entries('rules')
+            .filter(([id]) => id !== '_initialized')
+            .map(([, rule]) => rule)
+            .sort((a, b) => a.priority - b.priority || a.createdAt - b.createdAt);
+    }
+    
+    get(id) {
+        return id === '_initialized' ? null : this.store.get('rules', id) || null;
+    }
+    
+    // Returns an error message, or null when the definition is valid
+    validate(rule) {
+        if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+        if (!rule.name || typeof rule.name !== 'string') return 'name is required';
+        if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) return "match must be 'all' or 'any'";
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) return 'conditions must be a non-empty array';
+        if (rule.conditions.length > 20) return 'A rule may have at most 20 conditions';
+        
+        for (const condition of rule.conditions) {
+            if (!condition || typeof condition !== 'object') return 'Each condition must be an object';
+            if (!RULE_FIELDS.includes(condition.field)) {
+                return `Unknown field '${condition.field}'. Allowed: ${RULE_FIELDS.join(', ')}`;
+            }
+            if (!RULE_OPERATORS.includes(condition.operator)) {
+                return `Unknown operator '${condition.operator}'. Allowed: ${RULE_OPERATORS.join(', ')}`;
+            }
+            if (['in', 'notIn'].includes(condition.operator) && !Array.isArray(condition.value)) {
+                return `'${condition.operator}' needs an array value`;
+            }
+            if (['gt', 'gte', 'lt', 'lte'].includes(condition.operator) && typeof condition.value !== 'number') {
+                return `'${condition.operator}' needs a numeric value`;
+            }
+            if (['matches', 'notMatches'].includes(condition.operator)) {
+                if (typeof condition.value !== 'string' || condition.value.length > 200) {
+                    return 'Regex patterns must be strings of at most 200 characters';
+                }
+                if (condition.flags && !/^[imsu]*$/.test(condition.flags)) return 'Regex flags may only contain i, m, s, u';
+                try {
+                    new RegExp(condition.value, condition.flags || '');
+                } catch (error) {
+                    return `Invalid regex: ${error.message}`;
+                }
+                const unsafe = findUnsafeRegexConstruct(condition.value);
+                if (unsafe) return `Unsafe regex: ${unsafe}`;
+            }
+        }
+        
+        if (rule.scoreDelta !== undefined && (typeof rule.scoreDelta !== 'number' || Math.abs(rule.scoreDelta) > 100)) {
+            return 'scoreDelta must be a number between -100 and 100';
+        }
+        if (rule.action !== undefined && rule.action !== null && !RULE_ACTIONS.includes(rule.action)) {
+            return `action must be one of ${RULE_ACTIONS.join(', ')}`;
+        }
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') return 'priority must be a number';
+        
+        return null;
+    }
+    
+    normalize(rule, existing = {}) {
+        return {
+            id: existing.id || `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: rule.name,
+            description: rule.description || '',
+            enabled: rule.enabled !== false,
+            priority: rule.priority !== undefined ? rule.priority : 500,
+            match: rule.match || 'all',
+            conditions: rule.conditions.map(({ field, operator, value, flags }) => ({ field, operator, value, flags })),
+            scoreDelta: rule.scoreDelta || 0,
+            threat: rule.threat || null,
+            action: rule.action || null,
+            stopProcessing: Boolean(rule.stopProcessing),
+            createdAt: existing.createdAt || Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+    
+    create(definition) {
+        const rule = this.normalize(definition);
+        this.store.set('rules', rule.id, rule);
+        return rule;
+    }
+    
+    update(id, definition) {
+        const existing = this.get(id);
+        if (!existing) return null;
+        
+        const rule = this.normalize({ ...existing, ...definition }, existing);
+        this.store.set('rules', id, rule);
+        return rule;
+    }
+    
+    delete(id) {
+        return this.get(id) ? this.store.delete('rules', id) : false;
+    }
+    
+    getRegex(pattern, flags = '') {
+        const cacheKey = `${flags}/${pattern}`;
+        if (!this.regexCache.has(cacheKey)) {
+            // Rules saved before patterns were checked may still be unsafe; they never match
+            const unsafe = findUnsafeRegexConstruct(pattern);
+            if (unsafe) console.warn(`⚠️ Skipping unsafe rule pattern /${pattern}/: ${unsafe}`);
+            this.regexCache.set(cacheKey, unsafe ? /(?!)/ : new RegExp(pattern, flags));
+        }
+        return this.regexCache.get(cacheKey);
+    }
+    
+    testCondition(condition, context) {
+        const actual = context[condition.field];
+        const present = actual !== null && actual !== undefined && actual !== '';
+        const text = present ? String(actual) : '';
+        
+        switch (condition.operator) {
+            case 'equals': return actual === condition.value;
+            case 'notEquals': return actual !== condition.value;
+            case 'in': return present && condition.value.includes(actual);
+            case 'notIn': return !present || !condition.value.includes(actual);
+            case 'contains': return present && text.toLowerCase().includes(String(condition.value).toLowerCase());
+            case 'matches': return present && this.getRegex(condition.value, condition.flags).test(text.substring(0, MAX_RULE_MATCH_INPUT));
+            case 'notMatches': return !present || !this.getRegex(condition.value, condition.flags).test(text.substring(0, MAX_RULE_MATCH_INPUT));
+            case 'gt': return present && Number(actual) > condition.value;
+            case 'gte': return present && Number(actual) >= condition.value;
+            case 'lt': return present && Number(actual) < condition.value;
+            case 'lte': return present && Number(actual) <= condition.value;
+            case 'exists': return present;
+            case 'notExists': return !present;
+            default: return false;
+        }
+    }
+    
+    evaluate(visitorData) {
+        const context = buildRuleContext(visitorData);
+        const result = { scoreDelta: 0, threats: [], forcedAction: null, matchedRules: [] };
+        
+        for (const rule of this.list()) {
+            if (!rule.enabled) continue;
+            
+            const outcomes = rule.conditions.map(condition => this.testCondition(condition, context));
+            const matched = rule.match === 'any' ? outcomes.some(Boolean) : outcomes.every(Boolean);
+            if (!matched) continue;
+            
+            result.scoreDelta += rule.scoreDelta;
+            if (rule.threat) result.threats.push(rule.threat);
+            if (rule.action && !result.forcedAction) result.forcedAction = rule.action;
+            result.matchedRules.push({ id: rule.id, name: rule.name, scoreDelta: rule.scoreDelta, action: rule.action });
+            
+            if (rule.stopProcessing) break;
+        }
+        
+        return result;
+    }
+}
+
+// Protection Policy
+// One policy per publisher drives both the final action and the ML recommendation
+const PROTECTION_MODES = ['monitor', 'challenge', 'block'];
+const ACTION_SEVERITY = { allow: 0, monitor: 1, challenge: 2, block: 3 };
+
+const DEFAULT_POLICY = {
+    mode: 'block',
+    thresholds: { block: 80, challenge: 60, monitor: 30 },
+    // Minimum ML confidence before an action is applied; otherwise it is downgraded one step
+    minConfidence: { block: 70, challenge: 0 },
+    failMode: 'open',
+    // Proof-of-work bits (raised with risk), whether the visitor must also
+    // press and hold, how long a challenge is valid and how long a pass lasts
+    challenge: { difficulty: 16, interaction: true, ttlSeconds: 120, passTtlMinutes: 30 }
+};
+
+function validatePolicy(policy) {
+    if (!PROTECTION_MODES.includes(policy.mode)) return `mode must be one of ${PROTECTION_MODES.join(', ')}`;
+    if (!['open', 'closed'].includes(policy.failMode)) return "failMode must be 'open' or 'closed'";
+    
+    const { block, challenge, monitor } = policy.thresholds;
+    if (![block, challenge, monitor].every(value => typeof value === 'number' && value >= 0 && value <= 100)) {
+        return 'thresholds must be numbers between 0 and 100';
+    }
+    if (!(monitor <= challenge && challenge <= block)) return 'thresholds must satisfy monitor <= challenge <= block';
+    
+    const confidence = policy.minConfidence;
+    if (![confidence.block, confidence.challenge].every(value => typeof value === 'number' && value >= 0 && value <= 100)) {
+        return 'minConfidence values must be numbers between 0 and 100';
+    }
+    
+    const settings = policy.challenge;
+    if (!Number.isInteger(settings.difficulty) || settings.difficulty < MIN_CHALLENGE_DIFFICULTY || settings.difficulty > MAX_CHALLENGE_DIFFICULTY) {
+        return `challenge.difficulty must be an integer between ${MIN_CHALLENGE_DIFFICULTY} and ${MAX_CHALLENGE_DIFFICULTY}`;
+    }
+    if (typeof settings.interaction !== 'boolean') return 'challenge.interaction must be a boolean';
+    if (typeof settings.ttlSeconds !== 'number' || settings.ttlSeconds < 10 || settings.ttlSeconds > 3600) {
+        return 'challenge.ttlSeconds must be between 10 and 3600';
+    }
+    if (typeof settings.passTtlMinutes !== 'number' || settings.passTtlMinutes < 0 || settings.passTtlMinutes > 1440) {
+        return 'challenge.passTtlMinutes must be between 0 and 1440';
+    }
+    
+    return null;
+}
+
+function mergePolicy(base, changes = {}) {
+    const pick = (current, updates, keys) => {
+        const merged = {};
+        keys.forEach(key => {
+            merged[key] = updates && updates[key] !== undefined ? updates[key] : current[key];
+        });
+        return merged;
+    };
+    
+    return {
+        mode: changes.mode !== undefined ? changes.mode : base.mode,
+        thresholds: pick(base.thresholds, changes.thresholds, ['block', 'challenge', 'monitor']),
+        minConfidence: pick(base.minConfidence, changes.minConfidence, ['block', 'challenge']),
+        failMode: changes.failMode !== undefined ? changes.failMode : base.failMode,
+        challenge: pick(base.challenge, changes.challenge, ['difficulty', 'interaction', 'ttlSeconds', 'passTtlMinutes'])
+    };
+}
+
+// Map a score and confidence to an action under the given policy
+function decideAction(riskScore, confidence, policy = DEFAULT_POLICY) {
+    const { thresholds, minConfidence } = policy;
+    
+    if (riskScore >= thresholds.block) {
+        if (confidence >= minConfidence.block) {
+            return { action: 'block', reason: 'High risk with high confidence' };
+        }
+        return { action: 'challenge', reason: 'High risk but confidence below blocking requirement' };
+    }
+    if (riskScore >= thresholds.challenge) {
+        if (confidence >= minConfidence.challenge) {
+            return { action: 'challenge', reason: 'Medium risk detected' };
+        }
+        return { action: 'monitor', reason: 'Medium risk but confidence below challenge requirement' };
+    }
+    if (riskScore >= thresholds.monitor) {
+        return { action: 'monitor', reason: 'Low risk - continue monitoring' };
+    }
+    return { action: 'allow', reason: 'Normal traffic pattern' };
+}
+
+// The protection mode caps how strong an enforced action can be
+function applyProtectionMode(action, mode) {
+    return ACTION_SEVERITY[action] > ACTION_SEVERITY[mode] ? mode : action;
+}
+
+class PolicyStore {
+    constructor(store) {
+        this.store = store;
+    }
+    
+    get() {
+        const saved = this.store.get('policy', 'current');
+        if (!saved) return { ...mergePolicy(DEFAULT_POLICY), version: 0, updatedAt: null };
+        
+        // Fill in settings added after the policy was saved
+        return { ...mergePolicy(DEFAULT_POLICY, saved), version: saved.version, updatedAt: saved.updatedAt };
+    }
+    
+    // Returns { policy } or { error }
+    update(changes) {
+        if (!isPlainObject(changes)) return { error: 'Policy changes must be an object' };
+        const section = ['thresholds', 'minConfidence', 'challenge']
+            .find(key => changes[key] !== undefined && !isPlainObject(changes[key]));
+        if (section) return { error: `${section} must be an object` };
+        
+        const current = this.get();
+        const next = mergePolicy(current, changes);
+        const validationError = validatePolicy(next);
+        if (validationError) return { error: validationError };
+        
+        const policy = { ...next, version: current.version + 1, updatedAt: new Date().toISOString() };
+        this.store.set('policy', 'current', policy);
+        return { policy };
+    }
+    
+    reset() {
+        this.store.delete('policy', 'current');
+        return this.get();
+    }
+}
+
+// Ad Click Validator
+// Classifies each click on a protected ad slot as valid or invalid, and keeps
+// invalid click rates per slot and per page
+const MAX_AD_CLICK_LOG = 1000;
+const AD_CLICK_LOG_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const AD_CLICK_LIMITS = {
+    minSinceRenderMs: 1000,    // clicks on an ad that just rendered
+    minDwellMs: 100,           // pointer over the slot before clicking
+    repeatWindowMs: 30000,     // same slot clicked again within
+    maxSessionClicks: 3,       // ad clicks per session within sessionWindowMs
+    sessionWindowMs: 10 * 60 * 1000
+};
+
+class AdClickValidator {
+    constructor(store) {
+        this.store = store;
+        this.stats = store.collection('adClickStats');
+        this.recentClicks = store.entries('adClicks')
+            .map(([, entry]) => entry)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    // SDK click report: { slot, page, x, y (0-1 within the slot), dwell,
+    // sinceRender (ms), path [[dx, dy, dt]...] ending at the click, trusted,
+    // via ('click' | 'iframe_blur'), pointer ('mouse' | 'touch') }
+    normalize(data) {
+        if (!data || typeof data !== 'object' || typeof data.slot !== 'string' || !data.slot) return null;
+        
+        const num = value => (isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null);
+        return {
+            slot: data.slot.substring(0, 128),
+            page: typeof data.page === 'string' ? data.page.substring(0, 512) : '/',
+            x: num(data.x),
+            y: num(data.y),
+            dwell: num(data.dwell),
+            sinceRender: num(data.sinceRender),
+            path: Array.isArray(data.path) ? data.path.filter(Array.isArray).slice(-50) : [],
+            trusted: data.trusted !== false,
+            via: data.via === 'iframe_blur' ? 'iframe_blur' : 'click',
+            pointer: data.pointer === 'touch' ? 'touch' : 'mouse'
+        };
+    }
+    
+    // previousClicks: earlier normalized clicks of the same session, with timestamps
+    validate(click, { timestamp, previousClicks = [], sessionRiskScore = 0, blockThreshold = 80 }) {
+        const reasons = [];
+        
+        if (!click.trusted) reasons.push('Synthetic click event');
+        if (click.sinceRender !== null && click.sinceRender < AD_CLICK_LIMITS.minSinceRenderMs) {
+            reasons.push('Clicked within 1s of ad render');
+        }
+        
+        // Mouse clicks should follow hovering and a human pointer path;
+        // iframe clicks only ever show as hover time
+        if (click.pointer === 'mouse') {
+            if (click.dwell !== null && click.dwell < AD_CLICK_LIMITS.minDwellMs) reasons.push('No hover before click');
+            if (click.via === 'click' && click.path.length === 0) reasons.push('No pointer movement before click');
+            if (click.path.length >= 5 && this.getStraightness(click.path) > 0.99) reasons.push('Scripted pointer path');
+        }
+        
+        if (click.x !== null && click.y !== null) {
+            if (click.x < 0 || click.x > 1 || click.y < 0 || click.y > 1) {
+                reasons.push('Click outside slot bounds');
+            } else if (Math.abs(click.x - 0.5) < 0.005 && Math.abs(click.y - 0.5) < 0.005) {
+                reasons.push('Clicked exact center of slot');
+            }
+        }
+        
+        if (previousClicks.some(previous => previous.slot === click.slot &&
+            timestamp - previous.timestamp < AD_CLICK_LIMITS.repeatWindowMs)) {
+            reasons.push('Repeat click on same slot');
+        }
+        const sessionClicks = previousClicks.filter(previous => timestamp - previous.timestamp < AD_CLICK_LIMITS.sessionWindowMs);
+        if (sessionClicks.length >= AD_CLICK_LIMITS.maxSessionClicks) {
+            reasons.push('Excessive ad clicks in session');
+        }
+        
+        if (sessionRiskScore >= blockThreshold) reasons.push('Click from high-risk session');
+        
+        return { valid: reasons.length === 0, reasons };
+    }
+    
+    // Straight-line distance over path length of the pointer path
+    getStraightness(path) {
+        let length = 0;
+        let dx = 0;
+        let dy = 0;
+        path.forEach(([stepX, stepY]) => {
+            length += Math.sqrt(stepX * stepX + stepY * stepY);
+            dx += stepX;
+            dy += stepY;
+        });
+        return length > 0 ? Math.sqrt(dx * dx + dy * dy) / length : 0;
+    }
+    
+    record(sessionId, click, result, timestamp) {
+        [['slot', click.slot], ['page', click.page]].forEach(([kind, id]) => {
+            const key = `${kind}:${id}`;
+            const stats = this.stats.get(key) || { kind, id, clicks: 0, invalid: 0, invalidRate: 0, reasons: {} };
+            stats.clicks++;
+            if (!result.valid) stats.invalid++;
+            result.reasons.forEach(reason => { stats.reasons[reason] = (stats.reasons[reason] || 0) + 1; });
+            stats.invalidRate = Math.round((stats.invalid / stats.clicks) * 1000) / 10;
+            stats.lastClickAt = new Date(timestamp).toISOString();
+            this.stats.set(key, stats);
+        });
+        
+        const entry = {
+            id: `click_${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp,
+            sessionId,
+            slot: click.slot,
+            page: click.page,
+            via: click.via,
+            valid: result.valid,
+            reasons: result.reasons
+        };
+        this.recentClicks.push(entry);
+        this.store.set('adClicks', entry.id, entry, { ttlMs: AD_CLICK_LOG_TTL_MS });
+        while (this.recentClicks.length > MAX_AD_CLICK_LOG) {
+            this.store.delete('adClicks', this.recentClicks.shift().id);
+        }
+    }
+    
+    getReport(limit = 50) {
+        const stats = this.stats.values();
+        const bySlot = stats.filter(entry => entry.kind === 'slot').sort((a, b) => b.clicks - a.clicks);
+        const clicks = bySlot.reduce((sum, entry) => sum + entry.clicks, 0);
+        const invalid = bySlot.reduce((sum, entry) => sum + entry.invalid, 0);
+        
+        return {
+            totals: {
+                clicks,
+                invalid,
+                invalidRate: clicks > 0 ? Math.round((invalid / clicks) * 1000) / 10 : 0
+            },
+            bySlot,
+            byPage: stats.filter(entry => entry.kind === 'page').sort((a, b) => b.clicks - a.clicks),
+            recent: this.recentClicks.slice(-limit).reverse().map(entry => ({
+                ...entry,
+                timestamp: new Date(entry.timestamp).toISOString()
+            }))
+        };
+    }
+}
+
+// Challenge Service
+// Issues signed proof-of-work challenges (find a nonce so that
+// sha256(prefix + nonce) starts with `difficulty` zero bits), optionally with a
+// press-and-hold interaction, and verifies solutions server-side. Challenges
+// are single use; pass/fail counts are kept per publisher.
+const MIN_CHALLENGE_DIFFICULTY = 8;
+const MAX_CHALLENGE_DIFFICULTY = 24;
+const CHALLENGE_HOLD_MS = 1500;
+const CHALLENGE_MAX_ATTEMPTS = 3;
+// Solutions faster than this cannot involve the visitor at all
+const CHALLENGE_MIN_SOLVE_MS = 200;
+
+function countLeadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+class ChallengeService {
+    constructor(store) {
+        this.store = store;
+        this.challenges = store.collection('challenges', { ttlMs: 3600 * 1000 });
+    }
+    
+    sign(challenge) {
+        return crypto.createHmac('sha256', SESSION_SECRET)
+            .update([challenge.id, challenge.sessionId, challenge.prefix, challenge.difficulty, challenge.expiresAt].join('|'))
+            .digest('hex');
+    }
+    
+    // Riskier sessions get harder puzzles: one extra bit per 10 points above the challenge threshold
+    issue(sessionId, riskScore, policy) {
+        const settings = policy.challenge;
+        const extraBits = Math.max(0, Math.floor((riskScore - policy.thresholds.challenge) / 10));
+        const now = Date.now();
+        const challenge = {
+            id: 'chl_' + crypto.randomBytes(12).toString('hex'),
+            sessionId,
+            type: settings.interaction ? 'pow+hold' : 'pow',
+            algorithm: 'sha256',
+            prefix: crypto.randomBytes(16).toString('hex'),
+            difficulty: Math.min(settings.difficulty + extraBits, MAX_CHALLENGE_DIFFICULTY),
+            holdMs: settings.interaction ? CHALLENGE_HOLD_MS : 0,
+            issuedAt: now,
+            expiresAt: now + settings.ttlSeconds * 1000
+        };
+        challenge.signature = this.sign(challenge);
+        
+        this.challenges.set(challenge.id, { ...challenge, attempts: 0, status: 'pending' });
+        this.recordOutcome('issued');
+        
+        return {
+            ...challenge,
+            issuedAt: new Date(challenge.issuedAt).toISOString(),
+            expiresAt: new Date(challenge.expiresAt).toISOString()
+        };
+    }
+    
+    // Returns { passed, reason }
+    verify({ challengeId, sessionId, signature, nonce, interaction }) {
+        const challenge = this.challenges.get(challengeId);
+        if (!challenge || challenge.sessionId !== sessionId) {
+            return { passed: false, reason: 'Unknown challenge' };
+        }
+        if (challenge.status === 'revoked') {
+            return { passed: false, reason: 'Challenge revoked' };
+        }
+        if (challenge.status !== 'pending') {
+            return { passed: false, reason: 'Challenge already used' };
+        }
+        
+        const fail = reason => {
+            challenge.attempts++;
+            if (challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) challenge.status = 'failed';
+            this.challenges.set(challenge.id, challenge);
+            this.recordOutcome('failed', reason);
+            return { passed: false, reason, attemptsLeft: CHALLENGE_MAX_ATTEMPTS - challenge.attempts };
+        };
+        
+        const now = Date.now();
+        if (now > challenge.expiresAt) {
+            challenge.status = 'expired';
+            this.challenges.set(challenge.id, challenge);
+            this.recordOutcome('expired');
+            return { passed: false, reason: 'Challenge expired' };
+        }
+        
+        const expected = Buffer.from(challenge.signature);
+        const provided = Buffer.from(String(signature || ''));
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return fail('Invalid challenge signature');
+        }
+        
+        if (typeof nonce !== 'string' || nonce.length === 0 || nonce.length > 64) return fail('Missing nonce');
+        const digest = crypto.createHash('sha256').update(challenge.prefix + nonce).digest();
+        if (countLeadingZeroBits(digest) < challenge.difficulty) return fail('Invalid proof of work');
+        
+        const elapsed = now - challenge.issuedAt;
+        if (elapsed < Math.max(CHALLENGE_MIN_SOLVE_MS, challenge.holdMs)) return fail('Solved too quickly');
+        
+        if (challenge.holdMs > 0) {
+            const holdMs = interaction && Number(interaction.holdMs);
+            if (!interaction || interaction.trusted !== true || !(holdMs >= challenge.holdMs) || holdMs > elapsed) {
+                return fail('Interaction requirement not met');
+            }
+        }
+        
+        challenge.status = 'passed';
+        this.challenges.set(challenge.id, challenge);
+        this.recordOutcome('passed');
+        return { passed: true, solveMs: elapsed };
+    }
+    
+    // A session re-scored to block must not be cleared by a challenge issued before
+    revokeForSession(sessionId) {
+        this.challenges.values()
+            .filter(challenge => challenge.sessionId === sessionId && challenge.status === 'pending')
+            .forEach(challenge => this.challenges.set(challenge.id, { ...challenge, status: 'revoked' }));
+    }
+    
+    recordOutcome(outcome, reason = null) {
+        const stats = this.store.get('challengeStats', 'totals') || { issued: 0, passed: 0, failed: 0, expired: 0, failureReasons: {} };
+        stats[outcome]++;
+        if (reason) stats.failureReasons[reason] = (stats.failureReasons[reason] || 0) + 1;
+        this.store.set('challengeStats', 'totals', stats);
+    }
+    
+    getStats() {
+        const stats = this.store.get('challengeStats', 'totals') || { issued: 0, passed: 0, failed: 0, expired: 0, failureReasons: {} };
+        const attempts = stats.passed + stats.failed;
+        return {
+            ...stats,
+            passRate: attempts > 0 ? Math.round((stats.passed / attempts) * 1000) / 10 : null,
+            // Share of issued challenges that were never solved
+            abandonRate: stats.issued > 0 ? Math.round(((stats.issued - stats.passed) / stats.issued) * 1000) / 10 : null
+        };
+    }
+}
+
+// Verdict Tokens
+// Every analysis carries a short-lived JWT (HS256) signed with a secret of the
+// publisher's own, so the publisher's backend can trust the verdict without
+// trusting the browser. Tokens are checked online via POST /api/v1/verify
+// (which also rejects replays) or offline with the secret from
+// GET /api/v1/verdict-keys/secrets, which only secret backend keys may read:
+// verify the HMAC over "<header>.<payload>" with the
+// key named by the header's `kid`, then check `exp` and that `jti` is unseen.
+const VERDICT_TOKEN_TTL_SECONDS = 300;
+const VERDICT_TOKEN_ISSUER = 'traffic-cop';
+
+function base64UrlEncode(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+class VerdictSigner {
+    constructor(store, publisherId) {
+        this.store = store;
+        this.publisherId = publisherId;
+        // A token ID is remembered for as long as the token could still be valid
+        this.usedTokens = store.collection('verdictTokenUses', { ttlMs: VERDICT_TOKEN_TTL_SECONDS * 1000 });
+    }
+    
+    createKey() {
+        return {
+            kid: 'vk_' + crypto.randomBytes(6).toString('hex'),
+            secret: crypto.randomBytes(32).toString('base64url'),
+            createdAt: Date.now()
+        };
+    }
+    
+    getKeys() {
+        let keys = this.store.get('verdictKeys', 'signing');
+        if (!keys) {
+            keys = { current: this.createKey(), previous: null };
+            this.store.set('verdictKeys', 'signing', keys);
+        }
+        return keys;
+    }
+    
+    // The previous key keeps verifying until every token it signed has expired
+    rotate() {
+        const { current } = this.getKeys();
+        const keys = {
+            current: this.createKey(),
+            previous: { ...current, expiresAt: Date.now() + VERDICT_TOKEN_TTL_SECONDS * 1000 }
+        };
+        this.store.set('verdictKeys', 'signing', keys);
+        return keys;
+    }
+    
+    findKey(kid) {
+        const { current, previous } = this.getKeys();
+        if (current.kid === kid) return current;
+        if (previous && previous.kid === kid && previous.expiresAt > Date.now()) return previous;
+        return null;
+    }
+    
+    hmac(secret, signingInput) {
+        return crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+    }
+    
+    issue(analysis) {
+        const key = this.getKeys().current;
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const header = base64UrlEncode({ alg: 'HS256', typ: 'JWT', kid: key.kid });
+        const payload = base64UrlEncode({
+            iss: VERDICT_TOKEN_ISSUER,
+            pub: this.publisherId,
+            sub: analysis.sessionId,
+            jti: crypto.randomBytes(12).toString('hex'),
+            iat: issuedAt,
+            exp: issuedAt + VERDICT_TOKEN_TTL_SECONDS,
+            riskScore: analysis.riskScore,
+            action: analysis.action,
+            verdict: analysis.verdict
+        });
+        return `${header}.${payload}.${this.hmac(key.secret, `${header}.${payload}`)}`;
+    }
+    
+    // Returns { valid, reason, claims }; a valid token is consumed unless consume is false
+    verify(token, { consume = true, sessionId } = {}) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return { valid: false, reason: 'Malformed token' };
+        
+        let header, claims;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+            claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        } catch (error) {
+            return { valid: false, reason: 'Malformed token' };
+        }
+        
+        const key = header && header.alg === 'HS256' ? this.findKey(header.kid) : null;
+        if (!key) return { valid: false, reason: 'Unknown signing key' };
+        
+        const expected = Buffer.from(this.hmac(key.secret, `${parts[0]}.${parts[1]}`));
+        const provided = Buffer.from(parts[2]);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return { valid: false, reason: 'Invalid signature' };
+        }
+        
+        if (claims.iss !== VERDICT_TOKEN_ISSUER || claims.pub !== this.publisherId) {
+            return { valid: false, reason: 'Token was issued for another publisher' };
+        }
+        if (!(claims.exp > Date.now() / 1000)) return { valid: false, reason: 'Token expired', claims };
+        if (sessionId !== undefined && sessionId !== claims.sub) {
+            return { valid: false, reason: 'Token belongs to another session', claims };
+        }
+        if (this.usedTokens.has(claims.jti)) return { valid: false, reason: 'Token already used', claims };
+        
+        if (consume) this.usedTokens.set(claims.jti, { sessionId: claims.sub, usedAt: Date.now() });
+        return { valid: true, claims };
+    }
+    
+    // Key metadata; the secrets themselves only for offline verification
+    describe({ includeSecrets = false } = {}) {
+        const { current, previous } = this.getKeys();
+        const keys = [{ ...current, status: 'active' }];
+        if (previous && previous.expiresAt > Date.now()) keys.push({ ...previous, status: 'retiring' });
+        
+        return {
+            publisherId: this.publisherId,
+            algorithm: 'HS256',
+            issuer: VERDICT_TOKEN_ISSUER,
+            tokenTtlSeconds: VERDICT_TOKEN_TTL_SECONDS,
+            keys: keys.map(key => ({
+                kid: key.kid,
+                ...(includeSecrets ? { secret: key.secret } : {}),
+                status: key.status,
+                createdAt: new Date(key.createdAt).toISOString(),
+                expiresAt: key.expiresAt ? new Date(key.expiresAt).toISOString() : null
+            }))
+        };
+    }
+}
+
+// Per-publisher tenant context: every session, metric, alert and model
+// state lives here so one publisher never sees or trains on another's traffic
+class TenantContext {
+    constructor(publisherId) {
+        this.publisherId = publisherId;
+        this.store = storage.scope(publisherId);
+        this.sessions = this.store.collection('sessions', { ttlMs: SESSION_TTL_MS });
+        this.sessionInputs = this.store.collection('sessionInputs', { ttlMs: SESSION_TTL_MS });
+        this.sessionTimelines = this.store.collection('sessionTimelines', { ttlMs: SESSION_TTL_MS });
+        this.sessionTimelineEntries = this.store.collection('sessionTimelineEntries', { ttlMs: SESSION_TTL_MS });
+        this.sessionEvents = this.store.collection('sessionEvents', { ttlMs: SESSION_TTL_MS });
+        this.fingerprints = this.store.collection('fingerprints', { ttlMs: SESSION_TTL_MS });
+        this.sessionFeatures = this.store.collection('sessionFeatures', { ttlMs: FEATURE_RETENTION_MS });
+        this.labels = this.store.collection('labels', { ttlMs: FEATURE_RETENTION_MS });
+        this.analytics = new AdvancedAnalytics(this.store);
+        this.mlEngine = new MLThreatDetection(this.store);
+        this.webhooks = new WebhookDispatcher(this.store);
+        this.mailer = new AlertMailer(this.store, publisherId);
+        this.alertEngine = new SmartAlertEngine(this.store, this.webhooks, this.mailer);
+        this.ruleEngine = new DetectionRuleEngine(this.store);
+        this.policies = new PolicyStore(this.store);
+        this.clickValidator = new AdClickValidator(this.store);
+        this.challenges = new ChallengeService(this.store);
+        this.verdicts = new VerdictSigner(this.store, publisherId);
+    }
+}
+
+const tenants = new Map();
+
+function getTenant(publisherId) {
+    if (!tenants.has(publisherId)) {
+        tenants.set(publisherId, new TenantContext(publisherId));
+    }
+    return tenants.get(publisherId);
+}
+
+// Write batched analytics snapshots before the process goes away
+function flushTenants() {
+    tenants.forEach(tenant => tenant.analytics.save());
+}
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => {
+        flushTenants();
+        process.exit(0);
+    });
+});
+
+// Initialize advanced features
+const ipReputation = new IPReputationStore(
+    process.env.TRAFFIC_COP_IP_REPUTATION_DB || path.join(DATA_DIR, 'ip-reputation.json')
+);
+const geoDatabase = new GeoIPDatabase(
+    process.env.TRAFFIC_COP_GEOIP_DB || path.join(DATA_DIR, 'geoip-ranges.csv')
+);
+
+// Behavioral telemetry from the SDK. Reports use short keys to keep beacons
+// small; this expands them and drops anything that is not a finite number.
+//   t: time on page (ms)
+//   m: mouse { n samples, d path length, v [mean, stddev] velocity (px/ms),
+//      c mean curvature (rad), s straightness (0-1), p pauses }
+//   c: clicks { n, i [mean, stddev] interval (ms), u untrusted }
+//   s: scroll { n, i [mean, stddev] interval (ms), d max depth (%) }
+//   k: keystrokes { n, i [mean, stddev] interval (ms) } - timings only, never keys
+//   h: touch { n }
+//   f: focus { b blurs, h hidden (ms), v visible (ms) }
+function normalizeBehavior(report) {
+    if (!report || typeof report !== 'object') return null;
+    
+    const num = (value, max = Number.MAX_SAFE_INTEGER) => {
+        const number = Number(value);
+        return isFinite(number) && number > 0 ? Math.min(number, max) : 0;
+    };
+    const section = key => (report[key] && typeof report[key] === 'object' ? report[key] : {});
+    const pair = value => (Array.isArray(value) ? value : []);
+    const [mouse, clicks, scroll, keys, touch, focus] = ['m', 'c', 's', 'k', 'h', 'f'].map(section);
+    
+    return {
+        timeOnPage: num(report.t),
+        mouse: {
+            samples: num(mouse.n),
+            distance: num(mouse.d),
+            meanVelocity: num(pair(mouse.v)[0]),
+            velocityStdDev: num(pair(mouse.v)[1]),
+            meanCurvature: num(mouse.c, Math.PI),
+            straightness: num(mouse.s, 1),
+            pauses: num(mouse.p)
+        },
+        clicks: {
+            count: num(clicks.n),
+            meanInterval: num(pair(clicks.i)[0]),
+            intervalStdDev: num(pair(clicks.i)[1]),
+            untrusted: num(clicks.u)
+        },
+        scroll: {
+            count: num(scroll.n),
+            meanInterval: num(pair(scroll.i)[0]),
+            intervalStdDev: num(pair(scroll.i)[1]),
+            maxDepth: num(scroll.d, 100)
+        },
+        keys: {
+            count: num(keys.n),
+            meanInterval: num(pair(keys.i)[0]),
+            intervalStdDev: num(pair(keys.i)[1])
+        },
+        touch: { count: num(touch.n) },
+        focus: { blurs: num(focus.b), hiddenMs: num(focus.h), visibleMs: num(focus.v) }
+    };
+}
+
+// Session continuity. The SDK proposes its own session ID; the server signs
+// it, and later requests must present that signature to continue the session.
+// Challenges are signed with the same secret.
+const SESSION_SECRET = requireSecret('TRAFFIC_COP_SESSION_SECRET', 'traffic-cop-dev-session-secret');
+const SDK_SESSION_ID_PATTERN = /^tc_[A-Za-z0-9_]{6,64}$/;
+const MAX_TIMELINE_ENTRIES = 200;
+// Share of a session's peak risk that later requests keep
+const SESSION_RISK_MEMORY = 0.8;
+// Page views per minute above which a session looks scripted
+const MAX_PAGE_VIEWS_PER_MINUTE = 30;
+
+function signSessionId(publisherId, sessionId) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(`${publisherId}:${sessionId}`).digest('hex');
+}
+
+function verifySessionToken(publisherId, sessionId, token) {
+    if (typeof sessionId !== 'string' || typeof token !== 'string') return false;
+    
+    const expected = Buffer.from(signSessionId(publisherId, sessionId));
+    const provided = Buffer.from(token);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Continue a signed session, adopt a new SDK session ID, or mint one.
+// An unsigned ID is only adopted if no session uses it yet.
+function resolveSessionId(tenant, { sessionId, sessionToken }) {
+    if (verifySessionToken(tenant.publisherId, sessionId, sessionToken)) return sessionId;
+    
+    if (typeof sessionId === 'string' && SDK_SESSION_ID_PATTERN.test(sessionId) && !tenant.sessions.has(sessionId)) {
+        return sessionId;
+    }
+    
+    return 'sess_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Fold one request into the session's running state and return the
+// session-level signals it raises
+function updateSessionState(previous, visitorData, kind) {
+    const now = Date.now();
+    const state = previous ? { ...previous } : {
+        startedAt: new Date(now).toISOString(),
+        pageViews: 0,
+        analyses: 0,
+        behaviorReports: 0,
+        distinctUrls: 0,
+        lastUrl: null,
+        referrer: null,
+        ip: visitorData.ip,
+        userAgent: visitorData.userAgent || null,
+        ipChanges: 0,
+        userAgentChanges: 0,
+        peakRiskScore: 0,
+        events: {}
+    };
+    const signals = { scoreDelta: 0, threats: [] };
+    
+    state.analyses++;
+    if (kind === 'behavior') state.behaviorReports++;
+    if (kind === 'page_view') {
+        state.pageViews++;
+        if (visitorData.url && visitorData.url !== state.lastUrl) state.distinctUrls++;
+        state.lastUrl = visitorData.url || state.lastUrl;
+        state.referrer = state.referrer || visitorData.referrer || null;
+    }
+    
+    if (previous && visitorData.ip !== state.ip) {
+        state.ipChanges++;
+        state.ip = visitorData.ip;
+        signals.scoreDelta += 15;
+        signals.threats.push('IP address changed within session');
+    }
+    if (previous && visitorData.userAgent && visitorData.userAgent !== state.userAgent) {
+        state.userAgentChanges++;
+        state.userAgent = visitorData.userAgent;
+        signals.scoreDelta += 30;
+        signals.threats.push('User agent changed within session');
+    }
+    
+    // Rate over at least ten seconds so the first few views don't spike it
+    const minutes = Math.max(now - new Date(state.startedAt).getTime(), 10000) / 60000;
+    const pageViewRate = state.pageViews / minutes;
+    if (state.pageViews >= 5 && pageViewRate > MAX_PAGE_VIEWS_PER_MINUTE) {
+        signals.scoreDelta += 20;
+        signals.threats.push(`High page view rate (${Math.round(pageViewRate)}/min)`);
+    }
+    
+    return { state, signals };
+}
+
+// Timeline entries are stored under their own keys ("<sessionId>:<n>") with a
+// { first, next } range per session, so appending writes one entry rather
+// than the whole timeline
+function appendTimeline(tenant, sessionId, entry) {
+    let range = tenant.sessionTimelines.get(sessionId);
+    let entries = [entry];
+    // Timelines stored before entries had their own keys were plain arrays
+    if (Array.isArray(range)) {
+        entries = [...range, entry];
+        range = null;
+    }
+    range = range || { first: 0, next: 0 };
+    
+    entries.forEach(item => {
+        tenant.sessionTimelineEntries.set(`${sessionId}:${range.next}`, item);
+        range.next++;
+    });
+    while (range.next - range.first > MAX_TIMELINE_ENTRIES) {
+        tenant.sessionTimelineEntries.delete(`${sessionId}:${range.first}`);
+        range.first++;
+    }
+    tenant.sessionTimelines.set(sessionId, range);
+}
+
+function getTimeline(tenant, sessionId) {
+    const range = tenant.sessionTimelines.get(sessionId);
+    if (!range) return [];
+    if (Array.isArray(range)) return range;
+    
+    const timeline = [];
+    for (let index = range.first; index < range.next; index++) {
+        const entry = tenant.sessionTimelineEntries.get(`${sessionId}:${index}`);
+        if (entry) timeline.push(entry);
+    }
+    return timeline;
+}
+
+// SDK page events (POST /api/v1/events). Batches are compact: a base time
+// t0 and [type, offsetMs, data] tuples; { type, timestamp, data } objects
+// are accepted too. Timestamps a little ahead (client clock skew) are pulled
+// back to now; anything further ahead or older than MAX_EVENT_AGE_MS is rejected.
+const MAX_EVENT_BATCH = 500;
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_EVENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_SESSION_EVENTS = 1000;
+const MAX_EVENT_DATA_BYTES = 2048;
+const EVENT_TYPE_PATTERN = /^[a-z0-9_]{1,64}$/;
+
+function parseEventBatch(body) {
+    const base = Number(body.t0) || Date.now();
+    const events = [];
+    const rejected = [];
+    
+    (Array.isArray(body.events) ? body.events : []).forEach((raw, index) => {
+        const [type, offset, data] = Array.isArray(raw) ? raw : [raw && raw.type, null, raw && raw.data];
+        const timestamp = Array.isArray(raw) ? base + (Number(offset) || 0) : Number(raw && raw.timestamp) || base;
+        
+        if (typeof type !== 'string' || !EVENT_TYPE_PATTERN.test(type)) {
+            rejected.push({ index, error: 'type must be 1-64 lowercase letters, digits or underscores' });
+            return;
+        }
+        const now = Date.now();
+        if (!Number.isFinite(timestamp) || timestamp < now - MAX_EVENT_AGE_MS || timestamp > now + MAX_EVENT_CLOCK_SKEW_MS) {
+            rejected.push({ index, error: 'timestamp must be within the last 24 hours' });
+            return;
+        }
+        
+        // Oversized payloads are kept as a bare event
+        const serialized = data === undefined ? '' : JSON.stringify(data);
+        events.push({
+            type,
+            timestamp: new Date(Math.min(timestamp, now)).toISOString(),
+            data: serialized && serialized.length <= MAX_EVENT_DATA_BYTES ? data : undefined
+        });
+    });
+    
+    return { events, rejected };
+}
+
+// Store a batch against its session and count it into analytics; later
+// analyses of the session score its event counts
+function ingestEvents(tenant, sessionId, events) {
+    const stored = tenant.sessionEvents.get(sessionId) || [];
+    const session = tenant.sessions.get(sessionId);
+    
+    // Ad clicks are validated in order, each against the session's earlier ones
+    const previousClicks = stored.filter(event => event.type === 'ad_click' && event.click)
+        .map(event => ({ ...event.click, timestamp: new Date(event.timestamp).getTime() }));
+    const blockThreshold = tenant.policies.get().thresholds.block;
+    const invalidClicks = [];
+    events.filter(event => event.type === 'ad_click').forEach(event => {
+        const timestamp = new Date(event.timestamp).getTime();
+        const click = tenant.clickValidator.normalize(event.data);
+        if (!click) {
+            event.verdict = { valid: false, reasons: ['Malformed click report'] };
+        } else {
+            event.click = click;
+            event.verdict = tenant.clickValidator.validate(click, {
+                timestamp,
+                previousClicks,
+                sessionRiskScore: session.riskScore,
+                blockThreshold
+            });
+            tenant.clickValidator.record(sessionId, click, event.verdict, timestamp);
+            previousClicks.push({ ...click, timestamp });
+        }
+        if (!event.verdict.valid) invalidClicks.push(event);
+    });
+    // Invalid clicks count as their own event type for analytics and the model
+    const counted = [...events, ...invalidClicks.map(event => ({ type: 'invalid_ad_click', timestamp: event.timestamp }))];
+    
+    stored.push(...events);
+    if (stored.length > MAX_SESSION_EVENTS) {
+        stored.splice(0, stored.length - MAX_SESSION_EVENTS);
+    }
+    tenant.sessionEvents.set(sessionId, stored);
+    
+    const byType = {};
+    counted.forEach(event => { byType[event.type] = (byType[event.type] || 0) + 1; });
+    
+    if (session.session) {
+        const counts = session.session.events || {};
+        Object.entries(byType).forEach(([type, count]) => { counts[type] = (counts[type] || 0) + count; });
+        session.session.events = counts;
+        tenant.sessions.set(sessionId, session);
+    }
+    
+    appendTimeline(tenant, sessionId, {
+        type: 'events',
+        timestamp: new Date().toISOString(),
+        count: events.length,
+        byType
+    });
+    
+    tenant.analytics.recordEvents(counted);
+    tenant.alertEngine.checkAlerts(tenant.analytics.getAdvancedMetrics());
+    
+    return { invalidClicks: invalidClicks.length };
+}
+
+// Enhanced traffic analysis function with ML
+// Score a visitor on the accumulated session. A behavior follow-up passes
+// the (already verified) sessionId of the session it reports for.
+function analyzeTraffic(tenant, rawVisitorData, clientIP, { sessionId = null, behavior = null } = {}) {
+    const { analytics, mlEngine, alertEngine, ruleEngine, sessions } = tenant;
+    const kind = sessionId ? 'behavior'
+        : rawVisitorData.trigger && rawVisitorData.trigger !== 'page_load' ? 'reanalysis' : 'page_view';
+    sessionId = sessionId || resolveSessionId(tenant, rawVisitorData);
+    const startTime = Date.now();
+    const behavioralData = normalizeBehavior(behavior || rawVisitorData.behavior);
+    const previous = sessions.get(sessionId);
+    
+    // Network facts come from the connection, never from the client payload
+    const reputation = ipReputation.lookup(clientIP);
+    const geo = geoDatabase.lookup(reputation.ip);
+    const visitorData = {
+        ...rawVisitorData,
+        ip: reputation.ip,
+        ipReputation: reputation,
+        countryCode: geo.code,
+        asn: geo.asn,
+        geo
+    };
+    delete visitorData.isp;
+    delete visitorData.behavior;
+    delete visitorData.sessionToken;
+    
+    // User agents seen with this device fingerprint; one device claiming
+    // many browsers is a spoofing farm
+    const fingerprintId = getFingerprintId(visitorData.fingerprint && typeof visitorData.fingerprint === 'object' ? visitorData.fingerprint : {});
+    if (fingerprintId && visitorData.userAgent) {
+        const record = tenant.fingerprints.get(fingerprintId) || { userAgents: [], firstSeen: new Date().toISOString() };
+        const userAgent = String(visitorData.userAgent).substring(0, 512);
+        if (!record.userAgents.includes(userAgent) && record.userAgents.length < 10) {
+            record.userAgents.push(userAgent);
+            tenant.fingerprints.set(fingerprintId, record);
+        }
+        visitorData.fingerprintUserAgents = record.userAgents.length;
+    }
+    
+    // Evaluation order: built-in network checks, then publisher rules by
+    // priority, then the ML model; a rule-forced action overrides thresholds
+    let riskScore = 0;
+    const threats = [];
+    
+    // IP reputation
+    if (reputation.isKnownBad) {
+        riskScore += 50;
+        threats.push(`Known bad IP: ${reputation.reason}`);
+    }
+    if (reputation.isTor) {
+        riskScore += 40;
+        threats.push('Tor exit node');
+    }
+    if (reputation.isDatacenter) {
+        riskScore += 30;
+        threats.push(`Datacenter IP (${reputation.provider})`);
+    }
+    
+    // Publisher detection rules
+    const ruleResult = ruleEngine.evaluate(visitorData);
+    riskScore += ruleResult.scoreDelta;
+    threats.push(...ruleResult.threats);
+    
+    // Session-level signals across requests
+    const { state: sessionState, signals } = updateSessionState(previous && previous.session, visitorData, kind);
+    riskScore += signals.scoreDelta;
+    threats.push(...signals.threats);
+    
+    // ML Analysis, with the session's page events alongside the telemetry
+    const policy = tenant.policies.get();
+    const mlAnalysis = mlEngine.analyzeWithML(visitorData, {
+        ...behavioralData,
+        events: sessionState.events || {}
+    }, policy, { sessionId });
+    
+    // Combine basic and ML scores; a session keeps most of its peak risk,
+    // so reloading or navigating does not wash out an earlier verdict
+    const snapshotScore = Math.min(Math.max(Math.round((riskScore + mlAnalysis.mlRiskScore) / 2), 0), 100);
+    const finalScore = Math.max(snapshotScore, Math.round(sessionState.peakRiskScore * SESSION_RISK_MEMORY));
+    sessionState.peakRiskScore = Math.max(sessionState.peakRiskScore, finalScore);
+    
+    // Determine action from the publisher's policy; rules may force one, the mode caps it
+    const decision = decideAction(finalScore, mlAnalysis.confidence, policy);
+    let verdict = ruleResult.forcedAction || decision.action;
+    
+    // A recently passed challenge covers later challenge verdicts (not blocks)
+    const passedAt = sessionState.challengePassedAt ? new Date(sessionState.challengePassedAt).getTime() : 0;
+    if (verdict === 'challenge' && Date.now() - passedAt < policy.challenge.passTtlMinutes * 60 * 1000) {
+        verdict = 'allow';
+    }
+    const action = applyProtectionMode(verdict, policy.mode);
+    if (verdict === 'block') tenant.challenges.revokeForSession(sessionId);
+    
+    const responseTime = Date.now() - startTime;
+    
+    const analysis = {
+        sessionId,
+        riskScore: finalScore,
+        snapshotRiskScore: snapshotScore,
+        action,
+        verdict,
+        confidence: mlAnalysis.confidence,
+        threats: [...threats, ...mlAnalysis.threatVector],
+        responseTime,
+        timestamp: new Date().toISOString(),
+        publisherId: tenant.publisherId,
+        network: reputation,
+        geo,
+        policy: { version: policy.version, mode: policy.mode },
+        rules: {
+            matched: ruleResult.matchedRules,
+            scoreDelta: ruleResult.scoreDelta,
+            forcedAction: ruleResult.forcedAction
+        },
+        session: sessionState,
+        challenge: action === 'challenge' && kind !== 'behavior' ? tenant.challenges.issue(sessionId, finalScore, policy) : null,
+        fingerprint: inspectFingerprint(visitorData),
+        behavior: behavioralData,
+        mlInsights: mlAnalysis
+    };
+    
+    // Behavior reports re-score a request already counted, so only page views and
+    // re-analyses are recorded for analytics and alerting (and issue challenges)
+    if (kind !== 'behavior') {
+        analytics.recordRequest(analysis, responseTime, reputation.ip);
+        alertEngine.checkAlerts(analytics.getAdvancedMetrics());
+    }
+    
+    // Store session, its timeline, and its inputs so behavior reports can re-score it
+    sessions.set(sessionId, analysis);
+    appendTimeline(tenant, sessionId, {
+        type: kind,
+        timestamp: analysis.timestamp,
+        url: visitorData.url || null,
+        trigger: kind === 'reanalysis' ? String(rawVisitorData.trigger) : undefined,
+        riskScore: finalScore,
+        snapshotRiskScore: snapshotScore,
+        action,
+        threats: analysis.threats
+    });
+    const { sessionToken, ...storedInput } = rawVisitorData;
+    tenant.sessionInputs.set(sessionId, { visitorData: storedInput, clientIP });
+    tenant.sessionFeatures.set(sessionId, {
+        features: mlAnalysis.features,
+        riskScore: finalScore,
+        action,
+        modelVersion: mlAnalysis.modelVersion,
+        timestamp: analysis.timestamp
+    });
+    
+    // Tokens are only handed to the client, never stored
+    return {
+        ...analysis,
+        sessionToken: signSessionId(tenant.publisherId, sessionId),
+        verdictToken: tenant.verdicts.issue(analysis)
+    };
+}
+
+const FEEDBACK_LABELS = ['fraud', 'legitimate'];
+const MAX_FEEDBACK_BATCH = 10000;
+
+// Attach a ground-truth label to a stored session and train on its recorded features
+function applyFeedback(tenant, entry) {
+    const sessionId = entry && typeof entry.sessionId === 'string' ? entry.sessionId.trim() : '';
+    const label = entry && typeof entry.label === 'string' ? entry.label.trim().toLowerCase() : '';
+    
+    if (!sessionId) return { error: 'sessionId is required' };
+    if (!FEEDBACK_LABELS.includes(label)) return { sessionId, error: `label must be one of ${FEEDBACK_LABELS.join(', ')}` };
+    
+    const snapshot = tenant.sessionFeatures.get(sessionId);
+    if (!snapshot) return { sessionId, error: 'Unknown or expired session' };
+    
+    const record = {
+        sessionId,
+        label,
+        source: entry.source || 'manual_review',
+        notes: entry.notes || null,
+        labeledAt: new Date().toISOString(),
+        sessionTimestamp: snapshot.timestamp,
+        predictedRiskScore: snapshot.riskScore,
+        predictedAction: snapshot.action,
+        modelVersion: snapshot.modelVersion || null
+    };
+    
+    tenant.labels.set(sessionId, record);
+    tenant.mlEngine.learn(sessionId, snapshot.features, label, {
+        source: record.source,
+        sessionTimestamp: new Date(snapshot.timestamp).getTime()
+    });
+    return { sessionId, label };
+}
+
+// Evaluate a model version on labeled sessions, and the served verdicts
+// (final riskScore under the publisher's block threshold) for comparison
+function getModelEvaluation(tenant, { version, split, window, cutoff }) {
+    const mlEngine = tenant.mlEngine;
+    const record = mlEngine.getVersion(version);
+    const samples = mlEngine.getSplit(split, window);
+    
+    const labels = tenant.labels.values().filter(label =>
+        ModelEvaluator.inWindow(new Date(label.sessionTimestamp || label.labeledAt).getTime(), window));
+    const servedCutoff = tenant.policies.get().thresholds.block;
+    const toPrediction = label => ({ score: label.predictedRiskScore, fraud: label.label === 'fraud' });
+    
+    const byServingVersion = {};
+    labels.forEach(label => {
+        const key = label.modelVersion || 'unknown';
+        (byServingVersion[key] = byServingVersion[key] || []).push(toPrediction(label));
+    });
+    Object.keys(byServingVersion).forEach(key => {
+        const { calibration, ...metrics } = ModelEvaluator.evaluate(byServingVersion[key], servedCutoff);
+        byServingVersion[key] = metrics;
+    });
+    
+    return {
+        publisherId: tenant.publisherId,
+        version: record.version,
+        split: split,
+        window: window,
+        holdoutPercent: HOLDOUT_PERCENT,
+        model: mlEngine.evaluateModel(record.model, samples, cutoff),
+        production: {
+            description: 'Served riskScore against labels, flagged at the policy block threshold',
+            ...ModelEvaluator.evaluate(labels.map(toPrediction), servedCutoff),
+            byServingVersion: byServingVersion
+        }
+    };
+}
+
+// Bulk label import: NDJSON (one object per line) or CSV with a header row
+function parseFeedbackImport(body, contentType) {
+    const lines = body.split(/\r?\n/).filter(line => line.trim());
+    
+    if (contentType.includes('ndjson') || contentType.includes('jsonl')) {
+        return lines.map((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return { error: `Invalid JSON on line ${index + 1}` };
+            }
+            return isPlainObject(entry) ? entry : { error: `Line ${index + 1} must be a JSON object` };
+        });
+    }
+    
+    if (contentType.includes('csv')) {
+        const header = parseCsvLine(lines.shift() || '').map(column => column.trim());
+        return lines.map(line => {
+            const values = parseCsvLine(line);
+            const entry = {};
+            header.forEach((column, index) => {
+                entry[column] = values[index];
+            });
+            return entry;
+        });
+    }
+    
+    return null;
+}
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_BULK_BODY_BYTES = 10 * 1024 * 1024;
+
+// Shared auth check: resolve the API key, then enforce the route's scope.
+// Routes that must take a key from the query string (sendBeacon) pass it as
+// queryKey; only public keys are accepted there, so backend keys never end up in URLs
+function authenticate(req, res, scope, queryKey = null) {
+    if (queryKey) {
+        const apiKey = apiKeys.verify(queryKey);
+        if (apiKey && apiKey.type !== 'public') {
+            res.status(401).json({ error: 'Only public keys may be sent in the query string; use the Authorization header' });
+            return null;
+        }
+        return authorize(res, apiKey, scope);
+    }
+    
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        res.status(401).json({ error: 'Missing API key' });
+        return null;
+    }
+    return authorize(res, apiKeys.verify(authHeader.substring(7)), scope);
+}
+
+// Scope check for a key record resolved by authenticate or from a stream token
+function authorize(res, apiKey, scope) {
+    const publisher = apiKey && publishers.get(apiKey.publisherId);
+    if (!publisher) {
+        res.status(401).json({ error: 'Invalid API key' });
+        return null;
+    }
+    
+    // Public keys ship inside web pages, so whatever their record says they may only analyze
+    const scopes = apiKey.type === 'public' ? apiKey.scopes.filter(granted => granted === 'analyze') : apiKey.scopes;
+    if (!scopes.includes(scope) && !scopes.includes('admin')) {
+        res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+        return null;
+    }
+    
+    return { publisher, apiKey };
+}
+
+function isAdmin(auth) {
+    return auth.publisher.role === 'admin';
+}
+
+function createHttpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+// Platform admins may act on another publisher via ?publisherId=; an unknown one
+// is a 404 rather than a new tenant created (and persisted) for a typo
+function getTargetPublisherId(auth, searchParams) {
+    const requested = searchParams.get('publisherId');
+    if (!requested || !isAdmin(auth)) return auth.publisher.id;
+    if (!publishers.has(requested)) throw createHttpError(404, 'Unknown publisher');
+    return requested;
+}
+
+// Bodies may be sent with Content-Encoding gzip or deflate; the size limit
+// applies both before and after decompression
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(createHttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const encoding = String(req.headers['content-encoding'] || 'identity').toLowerCase();
+            
+            if (encoding === 'identity') {
+                resolve(body.toString('utf8'));
+                return;
+            }
+            
+            const inflate = { gzip: zlib.gunzip, deflate: zlib.inflate }[encoding];
+            if (!inflate) {
+                reject(createHttpError(415, `Unsupported Content-Encoding '${encoding}'`));
+                return;
+            }
+            inflate(body, { maxOutputLength: maxBytes }, (error, result) => {
+                if (error) {
+                    reject(createHttpError(error.code === 'ERR_BUFFER_TOO_LARGE' ? 413 : 400,
+                        error.code === 'ERR_BUFFER_TOO_LARGE' ? 'Request body too large' : 'Invalid compressed body'));
+                    return;
+                }
+                resolve(result.toString('utf8'));
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Every JSON endpoint takes an object, so null, arrays and bare values are rejected here
+async function readJsonBody(req, maxBytes) {
+    const body = await readBody(req, maxBytes);
+    let parsed;
+    try {
+        parsed = body ? JSON.parse(body) : {};
+    } catch (error) {
+        throw createHttpError(400, 'Invalid JSON');
+    }
+    if (!isPlainObject(parsed)) throw createHttpError(400, 'Request body must be a JSON object');
+    return parsed;
+}
+
+// Session Search
+// Filters, sorts and pages the stored analyses behind GET /api/v1/sessions. Cursors are
+// opaque: they carry the sort, the last item's sort value and its sessionId as tie-breaker.
+const DEFAULT_SESSION_PAGE_SIZE = 50;
+const MAX_SESSION_PAGE_SIZE = 200;
+const SESSION_SORT_FIELDS = {
+    timestamp: session => Date.parse(session.timestamp) || 0,
+    startedAt: session => Date.parse(session.session && session.session.startedAt) || 0,
+    riskScore: session => session.riskScore || 0,
+    pageViews: session => (session.session && session.session.pageViews) || 0
+};
+const SESSION_ACTIONS = ['allow', 'monitor', 'challenge', 'block'];
+
+// Case-insensitive match anywhere in the text; `*` matches any run of characters
+function matchesWildcard(text, pattern) {
+    if (typeof text !== 'string') return false;
+    const haystack = text.toLowerCase();
+    let position = 0;
+    return pattern.toLowerCase().split('*').every(part => {
+        const index = haystack.indexOf(part, position);
+        if (index === -1) return false;
+        position = index + part.length;
+        return true;
+    });
+}
+
+function parseSessionQuery(searchParams) {
+    const get = name => searchParams.get(name) || null;
+    
+    const actions = get('action') ? get('action').split(',') : null;
+    const invalidAction = (actions || []).find(action => !SESSION_ACTIONS.includes(action));
+    if (invalidAction) {
+        throw createHttpError(400, `action must be one of ${SESSION_ACTIONS.join(', ')}`);
+    }
+    
+    const range = {};
+    ['minRisk', 'maxRisk'].forEach(name => {
+        if (get(name) === null) return;
+        const value = Number(get(name));
+        if (!Number.isFinite(value) || value < 0 || value > 100) {
+            throw createHttpError(400, `${name} must be a number between 0 and 100`);
+        }
+        range[name] = value;
+    });
+    ['from', 'to'].forEach(name => {
+        if (get(name) === null) return;
+        const value = parseTimestamp(get(name));
+        if (value === null) throw createHttpError(400, `${name} must be an ISO date or epoch milliseconds`);
+        range[name] = value;
+    });
+    
+    const sort = get('sort') || 'timestamp';
+    if (!SESSION_SORT_FIELDS[sort]) {
+        throw createHttpError(400, `sort must be one of ${Object.keys(SESSION_SORT_FIELDS).join(', ')}`);
+    }
+    const order = get('order') || 'desc';
+    if (order !== 'asc' && order !== 'desc') throw createHttpError(400, 'order must be asc or desc');
+    
+    const limit = get('limit') === null ? DEFAULT_SESSION_PAGE_SIZE : parseInt(get('limit'), 10);
+    if (!(limit >= 1 && limit <= MAX_SESSION_PAGE_SIZE)) {
+        throw createHttpError(400, `limit must be between 1 and ${MAX_SESSION_PAGE_SIZE}`);
+    }
+    
+    let after = null;
+    if (get('cursor')) {
+        try {
+            after = JSON.parse(Buffer.from(get('cursor'), 'base64url').toString());
+        } catch (error) {
+            after = null;
+        }
+        if (!after || after.sort !== sort || after.order !== order || typeof after.sessionId !== 'string') {
+            throw createHttpError(400, 'cursor is invalid or was issued for a different sort');
+        }
+    }
+    
+    return {
+        actions,
+        ...range,
+        threat: get('threat'),
+        country: get('country'),
+        url: get('url'),
+        referrer: get('referrer'),
+        sessionIdPrefix: get('sessionIdPrefix'),
+        sort,
+        order,
+        limit,
+        after
+    };
+}
+
+function matchesSessionQuery(session, query) {
+    const timestamp = Date.parse(session.timestamp);
+    const geo = session.geo || {};
+    const state = session.session || {};
+    
+    if (query.actions && !query.actions.includes(session.action)) return false;
+    if (query.minRisk !== undefined && !(session.riskScore >= query.minRisk)) return false;
+    if (query.maxRisk !== undefined && !(session.riskScore <= query.maxRisk)) return false;
+    if (query.from !== undefined && !(timestamp >= query.from)) return false;
+    if (query.to !== undefined && !(timestamp < query.to)) return false;
+    if (query.sessionIdPrefix && !session.sessionId.startsWith(query.sessionIdPrefix)) return false;
+    if (query.country) {
+        const country = query.country.toLowerCase();
+        if (String(geo.code).toLowerCase() !== country && String(geo.country).toLowerCase() !== country) return false;
+    }
+    if (query.threat) {
+        const threat = query.threat.toLowerCase();
+        if (!(session.threats || []).some(label => String(label).toLowerCase().includes(threat))) return false;
+    }
+    if (query.url && !matchesWildcard(state.lastUrl, query.url)) return false;
+    if (query.referrer && !matchesWildcard(state.referrer, query.referrer)) return false;
+    return true;
+}
+
+function searchSessions(sessionMap, query) {
+    const sortValue = SESSION_SORT_FIELDS[query.sort];
+    const direction = query.order === 'asc' ? 1 : -1;
+    const compare = (a, b) => direction * (
+        (a.value - b.value) || (a.sessionId < b.sessionId ? -1 : a.sessionId > b.sessionId ? 1 : 0)
+    );
+    
+    const matches = sessionMap.values()
+        .filter(session => matchesSessionQuery(session, query))
+        .map(session => ({ value: sortValue(session), sessionId: session.sessionId, session }))
+        .sort(compare);
+    
+    const remaining = query.after ? matches.filter(item => compare(item, query.after) > 0) : matches;
+    const page = remaining.slice(0, query.limit);
+    const last = page[page.length - 1];
+    
+    return {
+        total: matches.length,
+        sessions: page.map(item => item.session),
+        nextCursor: remaining.length > page.length
+            ? base64UrlEncode({ sort: query.sort, order: query.order, value: last.value, sessionId: last.sessionId })
+            : null
+    };
+}
+
+function getDashboardStats(sessionMap) {
+    const blockedSessions = Array.from(sessionMap.values()).filter(s => s.action === 'block').length;
+    return {
+        totalSessions: sessionMap.size,
+        blockedSessions: blockedSessions,
+        blockRate: sessionMap.size > 0 ? Math.round((blockedSessions / sessionMap.size) * 100) : 0
+    };
+}
+
+// Cross-tenant rollups, only served to admin keys
+function getTenantRollup(mapper) {
+    const byPublisher = {};
+    publishers.forEach((publisher, publisherId) => {
+        byPublisher[publisherId] = mapper(getTenant(publisherId));
+    });
+    return byPublisher;
+}
+
+async function handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    // Only the path is logged; query strings can carry keys (?key= on event beacons)
+    console.log(`${req.method} ${pathname}`);
+    processPendingWork();
+    
+    // Enable CORS for testing
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Content-Encoding, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+    
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    
+    // Health check endpoint
+    if (pathname === '/health' && req.method === 'GET') {
+        res.status(200).json({ 
+            status: 'healthy', 
+            timestamp: new Date().toISOString(),
+            message: 'Traffic Cop API is running on Vercel!',
+            version: '2.0.0',
+            features: ['ML Detection', 'Real-time Analytics', 'Smart Alerts']
+        });
+        return;
+    }
+    
+    // Main analysis endpoint
+    if (pathname === '/api/v1/analyze' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'analyze');
+        if (!auth) return;
+        
+        const clientIP = getClientIP(req);
+        if (!enforceUsageLimits(res, auth, clientIP, { deferCount: true })) return;
+        
+        let visitorData;
+        try {
+            visitorData = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        recordUsage(auth);
+        
+        const tenant = getTenant(auth.publisher.id);
+        try {
+            const analysis = analyzeTraffic(tenant, visitorData, clientIP);
+            res.status(200).json(analysis);
+        } catch (error) {
+            // Analysis failed: answer according to the publisher's fail-open/fail-closed policy
+            console.error('Analysis failed:', error);
+            const policy = tenant.policies.get();
+            const action = policy.failMode === 'closed' ? applyProtectionMode('block', policy.mode) : 'allow';
+            res.status(200).json({
+                sessionId: null,
+                riskScore: null,
+                action,
+                verdict: action,
+                degraded: true,
+                reason: `Analysis unavailable - failing ${policy.failMode}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return;
+    }
+    
+    // Behavioral telemetry follow-up: re-score an existing session
+    const behaviorMatch = pathname.match(/^\/api\/v1\/sessions\/([A-Za-z0-9_]+)\/behavior$/);
+    if (behaviorMatch && req.method === 'POST') {
+        const auth = authenticate(req, res, 'analyze');
+        if (!auth) return;
+        
+        const clientIP = getClientIP(req);
+        if (!enforceUsageLimits(res, auth, clientIP, { countQuota: false })) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const tenant = getTenant(auth.publisher.id);
+        if (!verifySessionToken(tenant.publisherId, behaviorMatch[1], body.sessionToken)) {
+            res.status(403).json({ error: 'Invalid session token' });
+            return;
+        }
+        
+        const input = tenant.sessionInputs.get(behaviorMatch[1]);
+        if (!input) {
+            res.status(404).json({ error: 'Unknown or expired session' });
+            return;
+        }
+        if (!body.behavior || typeof body.behavior !== 'object') {
+            res.status(400).json({ error: 'behavior report is required' });
+            return;
+        }
+        
+        // Reports carry cumulative telemetry, so the latest one replaces earlier ones
+        res.status(200).json(analyzeTraffic(tenant, input.visitorData, input.clientIP, {
+            sessionId: behaviorMatch[1],
+            behavior: body.behavior
+        }));
+        return;
+    }
+    
+    // Challenge verification: only a verified pass changes the session's verdict
+    if (pathname === '/api/v1/challenge/verify' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'analyze');
+        if (!auth) return;
+        
+        if (!enforceUsageLimits(res, auth, getClientIP(req), { countQuota: false })) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const tenant = getTenant(auth.publisher.id);
+        if (!verifySessionToken(tenant.publisherId, body.sessionId, body.sessionToken)) {
+            res.status(403).json({ error: 'Invalid session token' });
+            return;
+        }
+        
+        const session = tenant.sessions.get(body.sessionId);
+        if (!session) {
+            res.status(404).json({ error: 'Unknown or expired session' });
+            return;
+        }
+        
+        // Only a session still waiting on a challenge can pass one; a later block stands
+        if (session.verdict !== 'challenge') {
+            res.status(409).json({ passed: false, reason: `Session verdict is ${session.verdict}, not challenge` });
+            return;
+        }
+        
+        const result = tenant.challenges.verify(body);
+        appendTimeline(tenant, session.sessionId, {
+            type: 'challenge',
+            timestamp: new Date().toISOString(),
+            challengeId: body.challengeId || null,
+            passed: result.passed,
+            reason: result.reason
+        });
+        
+        if (!result.passed) {
+            res.status(403).json({ passed: false, ...result });
+            return;
+        }
+        
+        const policy = tenant.policies.get();
+        session.verdict = 'allow';
+        session.action = applyProtectionMode('allow', policy.mode);
+        if (session.session) session.session.challengePassedAt = new Date().toISOString();
+        tenant.sessions.set(session.sessionId, session);
+        
+        res.status(200).json({
+            passed: true,
+            sessionId: session.sessionId,
+            verdict: session.verdict,
+            action: session.action,
+            solveMs: result.solveMs,
+            verdictToken: tenant.verdicts.issue(session)
+        });
+        return;
+    }
+    
+    if (pathname === '/api/v1/challenge/stats' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        if (isAdmin(auth) && !searchParams.get('publisherId')) {
+            res.status(200).json({ byPublisher: getTenantRollup(tenant => tenant.challenges.getStats()) });
+            return;
+        }
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({ publisherId: tenant.publisherId, ...tenant.challenges.getStats() });
+        return;
+    }
+    
+    // Server-to-server check of a verdict token the browser passed along
+    if (pathname === '/api/v1/verify' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'verify');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        if (typeof body.token !== 'string' || body.token.length === 0) {
+            res.status(400).json({ error: 'token is required' });
+            return;
+        }
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const result = tenant.verdicts.verify(body.token, {
+            consume: body.consume !== false,
+            sessionId: body.sessionId
+        });
+        if (!result.valid) {
+            res.status(403).json({ valid: false, reason: result.reason });
+            return;
+        }
+        
+        const { claims } = result;
+        res.status(200).json({
+            valid: true,
+            sessionId: claims.sub,
+            riskScore: claims.riskScore,
+            action: claims.action,
+            verdict: claims.verdict,
+            issuedAt: new Date(claims.iat * 1000).toISOString(),
+            expiresAt: new Date(claims.exp * 1000).toISOString()
+        });
+        return;
+    }
+    
+    // Signing key metadata
+    if (pathname === '/api/v1/verdict-keys' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        res.status(200).json(getTenant(getTargetPublisherId(auth, searchParams)).verdicts.describe());
+        return;
+    }
+    
+    // Signing secrets for offline verdict verification, only ever served to secret backend keys
+    if (pathname === '/api/v1/verdict-keys/secrets' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'verify');
+        if (!auth) return;
+        
+        if (auth.apiKey.type !== 'secret') {
+            res.status(403).json({ error: 'Signing secrets are only served to secret keys' });
+            return;
+        }
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json(tenant.verdicts.describe({ includeSecrets: true }));
+        return;
+    }
+    
+    if (pathname === '/api/v1/verdict-keys/rotate' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        tenant.verdicts.rotate();
+        res.status(200).json(tenant.verdicts.describe());
+        return;
+    }
+    
+    // Batched page events (navigator.sendBeacon cannot send headers, so a public ?key= is accepted)
+    if (pathname === '/api/v1/events' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'analyze', searchParams.get('key'));
+        if (!auth) return;
+        
+        if (!enforceUsageLimits(res, auth, getClientIP(req), { countQuota: false })) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const tenant = getTenant(auth.publisher.id);
+        if (!verifySessionToken(tenant.publisherId, body.sessionId, body.sessionToken)) {
+            res.status(403).json({ error: 'Invalid session token' });
+            return;
+        }
+        if (!tenant.sessions.has(body.sessionId)) {
+            res.status(404).json({ error: 'Unknown or expired session' });
+            return;
+        }
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            res.status(400).json({ error: 'events must be a non-empty array' });
+            return;
+        }
+        if (body.events.length > MAX_EVENT_BATCH) {
+            res.status(413).json({ error: `At most ${MAX_EVENT_BATCH} events per batch` });
+            return;
+        }
+        
+        const { events, rejected } = parseEventBatch(body);
+        const result = events.length > 0 ? ingestEvents(tenant, body.sessionId, events) : { invalidClicks: 0 };
+        
+        res.status(202).json({ accepted: events.length, rejected, invalidClicks: result.invalidClicks });
+        return;
+    }
+    
+    // Session search: filters, sort and cursor pagination over stored analyses
+    if (pathname === '/api/v1/sessions' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        try {
+            const result = searchSessions(tenant.sessions, parseSessionQuery(searchParams));
+            res.status(200).json({ publisherId: tenant.publisherId, ...result });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+        return;
+    }
+    
+    // Session timeline
+    const sessionMatch = pathname.match(/^\/api\/v1\/sessions\/([A-Za-z0-9_]+)$/);
+    if (sessionMatch && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const session = tenant.sessions.get(sessionMatch[1]);
+        if (!session) {
+            res.status(404).json({ error: 'Unknown or expired session' });
+            return;
+        }
+        
+        res.status(200).json({
+            sessionId: session.sessionId,
+            publisherId: tenant.publisherId,
+            session: session.session,
+            latest: session,
+            timeline: getTimeline(tenant, session.sessionId),
+            events: tenant.sessionEvents.get(session.sessionId) || []
+        });
+        return;
+    }
+    
+    // Dashboard endpoint
+    if (pathname === '/api/v1/dashboard' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        if (isAdmin(auth)) {
+            const allSessions = new Map();
+            publishers.forEach((publisher, publisherId) => {
+                getTenant(publisherId).sessions.forEach((session, id) => allSessions.set(id, session));
+            });
+            
+            res.status(200).json({
+                ...getDashboardStats(allSessions),
+                byPublisher: getTenantRollup(tenant => getDashboardStats(tenant.sessions))
+            });
+            return;
+        }
+        
+        res.status(200).json(getDashboardStats(getTenant(auth.publisher.id).sessions));
+        return;
+    }
+    
+    // Advanced analytics endpoint
+    if (pathname === '/api/v1/analytics/advanced' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        if (isAdmin(auth)) {
+            res.status(200).json({
+                byPublisher: getTenantRollup(tenant => tenant.analytics.getAdvancedMetrics())
+            });
+            return;
+        }
+        
+        res.status(200).json(getTenant(auth.publisher.id).analytics.getAdvancedMetrics());
+        return;
+    }
+    
+    // Bucketed series for charts: ?metric=requests|actions|risk|latency|threats&from=&to=&interval=
+    if (pathname === '/api/v1/analytics/timeseries' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        try {
+            const series = tenant.analytics.timeSeries.query({
+                metric: searchParams.get('metric') || 'requests',
+                from: searchParams.get('from'),
+                to: searchParams.get('to'),
+                interval: searchParams.get('interval')
+            });
+            res.status(200).json({ publisherId: tenant.publisherId, ...series });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+        return;
+    }
+    
+    // Ad click validation: invalid click rates per slot and page
+    if (pathname === '/api/v1/analytics/clicks' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 50, MAX_AD_CLICK_LOG);
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({ publisherId: tenant.publisherId, ...tenant.clickValidator.getReport(limit) });
+        return;
+    }
+    
+    // Stream tokens for EventSource clients, which cannot send headers
+    if (pathname === '/api/v1/analytics/stream-token' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const { token, expiresAt } = apiKeys.issueStreamToken(auth.apiKey);
+        res.status(201).json({
+            token,
+            expiresAt: new Date(expiresAt).toISOString(),
+            url: `/api/v1/analytics/stream?token=${encodeURIComponent(token)}`
+        });
+        return;
+    }
+    
+    // Real-time streaming endpoint; takes a stream token in ?token= or the key in the Authorization header
+    if (pathname === '/api/v1/analytics/stream' && req.method === 'GET') {
+        const streamToken = searchParams.get('token');
+        let auth;
+        if (streamToken) {
+            const apiKey = apiKeys.verifyStreamToken(streamToken);
+            if (!apiKey) {
+                res.status(401).json({ error: 'Invalid or expired stream token' });
+                return;
+            }
+            auth = authorize(res, apiKey, 'read-analytics');
+        } else {
+            auth = authenticate(req, res, 'read-analytics');
+        }
+        if (!auth) return;
+        
+        const tenant = getTenant(auth.publisher.id);
+        
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        
+        // Send real-time updates every 5 seconds
+        const streamInterval = setInterval(() => {
+            const data = {
+                timestamp: Date.now(),
+                metrics: tenant.analytics.getAdvancedMetrics().realTime
+            };
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        }, 5000);
+        
+        req.on('close', () => {
+            clearInterval(streamInterval);
+        });
+        return;
+    }
+    
+    // ML insights endpoint
+    if (pathname === '/api/v1/ml/insights' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const getInsights = (tenant) => {
+            const mlEngine = tenant.mlEngine;
+            const holdout = mlEngine.evaluateModel(mlEngine.model, mlEngine.getSplit('holdout'));
+            
+            return {
+                modelAccuracy: holdout.accuracy !== null ? Math.round(holdout.accuracy * 1000) / 10 : null,
+                evaluation: {
+                    split: 'holdout',
+                    samples: holdout.samples,
+                    precision: holdout.precision,
+                    recall: holdout.recall,
+                    f1: holdout.f1,
+                    falsePositiveRate: holdout.falsePositiveRate,
+                    rocAuc: holdout.rocAuc
+                },
+                trainingDataPoints: mlEngine.trainingData.length,
+                modelVersion: mlEngine.registry.activeVersion,
+                shadowVersion: mlEngine.registry.shadowVersion,
+                featureWeights: mlEngine.getFeatureWeights(),
+                recentPredictions: tenant.analytics.getAdvancedMetrics().predictions
+            };
+        };
+        
+        if (isAdmin(auth)) {
+            res.status(200).json({ byPublisher: getTenantRollup(getInsights) });
+            return;
+        }
+        
+        res.status(200).json(getInsights(getTenant(auth.publisher.id)));
+        return;
+    }
+    
+    // Model evaluation against ground-truth labels
+    if (pathname === '/api/v1/ml/evaluation' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
         
-        const ua = userAgent.toLowerCase();
-        let suspicion = 0;
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const version = searchParams.has('version') ? Number(searchParams.get('version')) : tenant.mlEngine.registry.activeVersion;
+        const window = searchParams.get('window') || 'all';
+        const split = searchParams.get('split') || 'holdout';
+        const cutoff = searchParams.has('cutoff') ? Number(searchParams.get('cutoff')) : EVALUATION_CUTOFF;
         
-        // Bot keywords
-        const botKeywords = ['bot', 'crawler', 'spider', 'scraper', 'headless'];
-        botKeywords.forEach(keyword => {
-            if (ua.includes(keyword)) suspicion += 0.3;
+        if (!tenant.mlEngine.getVersion(version)) {
+            res.status(404).json({ error: 'Model version not found' });
+            return;
+        }
+        if (!(window in EVALUATION_WINDOWS)) {
+            res.status(400).json({ error: `window must be one of ${Object.keys(EVALUATION_WINDOWS).join(', ')}` });
+            return;
+        }
+        if (!['holdout', 'train', 'all'].includes(split)) {
+            res.status(400).json({ error: "split must be 'holdout', 'train' or 'all'" });
+            return;
+        }
+        if (isNaN(cutoff) || cutoff < 0 || cutoff > 100) {
+            res.status(400).json({ error: 'cutoff must be a number between 0 and 100' });
+            return;
+        }
+        
+        res.status(200).json(getModelEvaluation(tenant, { version, split, window, cutoff }));
+        return;
+    }
+    
+    // Model versions, shadow scoring and rollback
+    if (pathname === '/api/v1/ml/models' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        const mlEngine = getTenant(getTargetPublisherId(auth, searchParams)).mlEngine;
+        res.status(200).json({
+            activeVersion: mlEngine.registry.activeVersion,
+            shadowVersion: mlEngine.registry.shadowVersion,
+            activations: mlEngine.registry.activations.map(activation => ({
+                ...activation,
+                activatedAt: new Date(activation.activatedAt).toISOString()
+            })),
+            versions: mlEngine.listVersions()
         });
+        return;
+    }
+    
+    if (pathname === '/api/v1/ml/shadow' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
         
-        // Automation tools
-        const autoTools = ['selenium', 'puppeteer', 'playwright', 'phantom'];
-        autoTools.forEach(tool => {
-            if (ua.includes(tool)) suspicion += 0.4;
+        const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 50, MAX_SHADOW_DISAGREEMENTS);
+        res.status(200).json(getTenant(getTargetPublisherId(auth, searchParams)).mlEngine.getShadowReport(limit));
+        return;
+    }
+    
+    if (pathname === '/api/v1/ml/shadow' && req.method === 'DELETE') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const mlEngine = getTenant(getTargetPublisherId(auth, searchParams)).mlEngine;
+        mlEngine.setShadow(null);
+        res.status(200).json(mlEngine.getShadowReport(0));
+        return;
+    }
+    
+    if (pathname === '/api/v1/ml/retrain' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const mlEngine = getTenant(getTargetPublisherId(auth, searchParams)).mlEngine;
+        if (!mlEngine.canTrain()) {
+            res.status(409).json({ error: 'Training needs both fraud and legitimate labels - submit feedback first' });
+            return;
+        }
+        
+        // Optional overrides of the training hyperparameters
+        const options = {};
+        for (const key of Object.keys(TRAINING_DEFAULTS)) {
+            if (body[key] === undefined) continue;
+            const value = Number(body[key]);
+            if (isNaN(value) || value < 0 || (key === 'epochs' && (value < 1 || value > 5000))) {
+                res.status(400).json({ error: `${key} must be a non-negative number${key === 'epochs' ? ' between 1 and 5000' : ''}` });
+                return;
+            }
+            options[key] = value;
+        }
+        
+        res.status(201).json(mlEngine.retrainModel(options));
+        return;
+    }
+    
+    if (pathname === '/api/v1/ml/models/rollback' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const mlEngine = getTenant(getTargetPublisherId(auth, searchParams)).mlEngine;
+        if (!mlEngine.rollback(body.version ? Number(body.version) : null)) {
+            res.status(404).json({ error: 'No earlier model version to roll back to' });
+            return;
+        }
+        
+        res.status(200).json({ activeVersion: mlEngine.registry.activeVersion });
+        return;
+    }
+    
+    const modelMatch = pathname.match(/^\/api\/v1\/ml\/models\/(\d+)(?:\/(promote|shadow))?$/);
+    if (modelMatch && (modelMatch[2] ? req.method === 'POST' : req.method === 'GET')) {
+        const auth = authenticate(req, res, modelMatch[2] ? 'admin' : 'read-analytics');
+        if (!auth) return;
+        
+        const mlEngine = getTenant(getTargetPublisherId(auth, searchParams)).mlEngine;
+        const version = Number(modelMatch[1]);
+        if (!mlEngine.getVersion(version)) {
+            res.status(404).json({ error: 'Model version not found' });
+            return;
+        }
+        
+        if (modelMatch[2] === 'promote') {
+            mlEngine.promote(version);
+        } else if (modelMatch[2] === 'shadow') {
+            if (version === mlEngine.registry.activeVersion) {
+                res.status(409).json({ error: 'The active version cannot also run in shadow mode' });
+                return;
+            }
+            mlEngine.setShadow(version);
+        }
+        
+        res.status(200).json({
+            activeVersion: mlEngine.registry.activeVersion,
+            shadowVersion: mlEngine.registry.shadowVersion,
+            model: mlEngine.listVersions().find(record => record.version === version)
         });
+        return;
+    }
+    
+    // Alerts endpoint
+    if (pathname === '/api/v1/alerts' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
         
-        // Unusual patterns
-        if (ua.length < 20 || ua.length > 500) suspicion += 0.2;
-        if (!ua.includes('mozilla') && !ua.includes('webkit')) suspicion += 0.3;
+        const status = searchParams.get('status');
+        if (status && !ALERT_STATUSES.includes(status) && status !== 'active') {
+            res.status(400).json({ error: `status must be one of ${ALERT_STATUSES.join(', ')}, active` });
+            return;
+        }
         
-        return Math.min(suspicion, 1.0);
+        const getAlerts = (tenant) => ({
+            recentAlerts: tenant.alertEngine.getAlertHistory(20, status).map(alert => tenant.alertEngine.describeAlert(alert)),
+            counts: tenant.alertEngine.getStatusCounts(),
+            alertRules: tenant.alertEngine.listRules().map(rule => ({
+                id: rule.id,
+                name: rule.name,
+                expression: rule.expression,
+                severity: rule.severity,
+                enabled: rule.enabled
+            }))
+        });
+        
+        if (isAdmin(auth)) {
+            res.status(200).json({ byPublisher: getTenantRollup(getAlerts) });
+            return;
+        }
+        
+        res.status(200).json(getAlerts(getTenant(auth.publisher.id)));
+        return;
     }
     
-    analyzeDevice(visitorData) {
-        let suspicion = 0;
+    // Incident lifecycle
+    const alertMatch = pathname.match(/^\/api\/v1\/alerts\/(alert_[A-Za-z0-9_]+)(?:\/(acknowledge|resolve|snooze))?$/);
+    if (alertMatch && ((alertMatch[2] && req.method === 'POST') || (!alertMatch[2] && req.method === 'GET'))) {
+        const auth = authenticate(req, res, alertMatch[2] ? 'admin' : 'read-analytics');
+        if (!auth) return;
         
-        // Screen resolution analysis
-        const resolution = visitorData.screenResolution || '';
-        const commonResolutions = ['1920x1080', '1366x768', '1536x864', '1440x900'];
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        if (!alertMatch[2]) {
+            const alert = tenant.alertEngine.getAlert(alertMatch[1]);
+            if (!alert) {
+                res.status(404).json({ error: 'Alert not found' });
+                return;
+            }
+            res.status(200).json(tenant.alertEngine.describeAlert(alert));
+            return;
+        }
         
-        if (resolution === '1024x768') suspicion += 0.4; // Common bot resolution
-        if (!commonResolutions.includes(resolution) && resolution !== '') suspicion += 0.2;
+        try {
+            const body = await readJsonBody(req);
+            const by = typeof body.by === 'string' && body.by.trim() ? body.by.trim().substring(0, 100) : auth.apiKey.name;
+            const note = typeof body.note === 'string' ? body.note.substring(0, 1000) : null;
+            const alert = tenant.alertEngine.transition(alertMatch[1], alertMatch[2], { by, note, minutes: body.minutes });
+            res.status(200).json(tenant.alertEngine.describeAlert(alert));
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+        return;
+    }
+    
+    if (pathname === '/api/v1/alerts/escalation' && ['GET', 'PUT'].includes(req.method)) {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
         
-        // Plugin analysis
-        const plugins = visitorData.plugins || 0;
-        if (plugins === 0) suspicion += 0.3;
-        if (plugins > 50) suspicion += 0.2;
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        if (req.method === 'GET') {
+            res.status(200).json(tenant.alertEngine.getEscalation());
+            return;
+        }
         
-        // Platform consistency
-        if (!visitorData.platform) suspicion += 0.2;
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
         
-        return Math.min(suspicion, 1.0);
+        const validationError = tenant.alertEngine.validateEscalation(body);
+        if (validationError) {
+            res.status(400).json({ error: validationError });
+            return;
+        }
+        
+        res.status(200).json(tenant.alertEngine.setEscalation(body));
+        return;
     }
     
-    analyzeGeography(visitorData) {
-        const highRiskCountries = ['CN', 'RU', 'BD', 'PK', 'ID', 'VN'];
-        const mediumRiskCountries = ['IN', 'PH', 'EG', 'NG', 'UA', 'TR'];
+    // Email notification settings: SMTP server and recipients with severity filters and digests
+    if (pathname === '/api/v1/alerts/email' && ['GET', 'PUT'].includes(req.method)) {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        if (req.method === 'PUT') {
+            let body;
+            try {
+                body = await readJsonBody(req);
+            } catch (error) {
+                res.status(error.statusCode || 400).json({ error: error.message });
+                return;
+            }
+            
+            const validationError = tenant.mailer.validateSettings(body) || await tenant.mailer.checkDestination(body);
+            if (validationError) {
+                res.status(400).json({ error: validationError });
+                return;
+            }
+            tenant.mailer.setSettings(body);
+        }
+        
+        res.status(200).json(tenant.mailer.describe());
+        return;
+    }
+    
+    if (pathname === '/api/v1/alerts/email/test' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        if (!tenant.mailer.getSmtp()) {
+            res.status(409).json({ error: 'SMTP is not configured' });
+            return;
+        }
+        
+        const recipients = body.to !== undefined ? [body.to] : tenant.mailer.getSettings().recipients.map(recipient => recipient.email);
+        if (recipients.length === 0 || recipients.some(email => typeof email !== 'string' || !EMAIL_ADDRESS_PATTERN.test(email))) {
+            res.status(400).json({ error: 'Provide a valid `to` address or configure recipients first' });
+            return;
+        }
+        
+        const results = await tenant.mailer.sendTest(recipients);
+        res.status(results.some(result => result.sent) ? 200 : 502).json({ results });
+        return;
+    }
+    
+    // Alert rules (expressions over /api/v1/analytics/advanced metrics)
+    if (pathname === '/api/v1/alerts/rules' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({ publisherId: tenant.publisherId, rules: tenant.alertEngine.listRules() });
+        return;
+    }
+    
+    if (pathname === '/api/v1/alerts/rules' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const validationError = tenant.alertEngine.validateRule(body);
+        if (validationError) {
+            res.status(400).json({ error: validationError });
+            return;
+        }
+        if (tenant.alertEngine.listRules().length >= MAX_ALERT_RULES) {
+            res.status(409).json({ error: `A publisher may define at most ${MAX_ALERT_RULES} alert rules` });
+            return;
+        }
+        
+        const { id, ...definition } = body;
+        res.status(201).json(tenant.alertEngine.createRule(definition));
+        return;
+    }
+    
+    const alertRuleMatch = pathname.match(/^\/api\/v1\/alerts\/rules\/([A-Za-z0-9_]+)$/);
+    if (alertRuleMatch && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const rule = tenant.alertEngine.getRule(alertRuleMatch[1]);
+        if (!rule) {
+            res.status(404).json({ error: 'Alert rule not found' });
+            return;
+        }
+        
+        if (req.method === 'GET') {
+            res.status(200).json(rule);
+            return;
+        }
+        
+        if (req.method === 'DELETE') {
+            tenant.alertEngine.deleteRule(rule.id);
+            res.status(200).json({ deleted: rule.id });
+            return;
+        }
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        const merged = { ...rule, ...body };
+        const validationError = tenant.alertEngine.validateRule(merged);
+        if (validationError) {
+            res.status(400).json({ error: validationError });
+            return;
+        }
+        
+        res.status(200).json(tenant.alertEngine.updateRule(rule.id, merged));
+        return;
+    }
+    
+    // Usage and quota consumption
+    if (pathname === '/api/v1/usage' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
+        
+        if (isAdmin(auth)) {
+            const byPublisher = {};
+            publishers.forEach(publisher => {
+                byPublisher[publisher.id] = usageTracker.getSummary(publisher);
+            });
+            res.status(200).json({ byPublisher });
+            return;
+        }
+        
+        res.status(200).json(usageTracker.getSummary(auth.publisher));
+        return;
+    }
+    
+    // Ground-truth feedback
+    if (pathname === '/api/v1/feedback' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'feedback');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
+        
+        // A single label, or { labels: [...] }
+        const entries = Array.isArray(body.labels) ? body.labels : [body];
+        if (entries.length > MAX_FEEDBACK_BATCH) {
+            res.status(413).json({ error: `At most ${MAX_FEEDBACK_BATCH} labels per request` });
+            return;
+        }
         
-        if (highRiskCountries.includes(visitorData.countryCode)) return 0.8;
-        if (mediumRiskCountries.includes(visitorData.countryCode)) return 0.5;
+        const tenant = getTenant(auth.publisher.id);
+        const results = entries.map(entry => applyFeedback(tenant, entry));
+        const rejected = results.filter(result => result.error);
         
-        return 0.1;
+        if (!Array.isArray(body.labels) && rejected.length > 0) {
+            res.status(rejected[0].error === 'Unknown or expired session' ? 404 : 400).json({ error: rejected[0].error });
+            return;
+        }
+        
+        res.status(200).json({
+            accepted: results.length - rejected.length,
+            rejected: rejected,
+            trainingDataPoints: tenant.mlEngine.trainingData.length
+        });
+        return;
     }
     
-    analyzeBehavior(behavioralData) {
-        let suspicion = 0;
+    if (pathname === '/api/v1/feedback/import' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'feedback');
+        if (!auth) return;
         
-        // Mouse movement analysis
-        if (behavioralData.mouseMovements < 5) suspicion += 0.3;
-        if (behavioralData.clickSpeed && behavioralData.clickSpeed < 100) suspicion += 0.4;
+        let body;
+        try {
+            body = await readBody(req, MAX_BULK_BODY_BYTES);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
         
-        // Scroll behavior
-        if (behavioralData.scrollEvents < 2) suspicion += 0.2;
+        const entries = parseFeedbackImport(body, String(req.headers['content-type'] || ''));
+        if (!entries) {
+            res.status(415).json({ error: 'Use Content-Type text/csv or application/x-ndjson' });
+            return;
+        }
+        if (entries.length > MAX_FEEDBACK_BATCH) {
+            res.status(413).json({ error: `At most ${MAX_FEEDBACK_BATCH} labels per import` });
+            return;
+        }
         
-        // Page interaction time
-        if (behavioralData.timeOnPage && behavioralData.timeOnPage < 1000) suspicion += 0.3;
+        const tenant = getTenant(auth.publisher.id);
+        const results = entries.map((entry, index) => ({
+            line: index + 1,
+            ...(entry.error ? entry : applyFeedback(tenant, entry))
+        }));
+        const rejected = results.filter(result => result.error);
         
-        return Math.min(suspicion, 1.0);
+        res.status(200).json({
+            accepted: results.length - rejected.length,
+            rejected: rejected,
+            trainingDataPoints: tenant.mlEngine.trainingData.length
+        });
+        return;
     }
     
-    analyzeTiming(visitorData) {
-        const now = Date.now();
-        const requestTime = visitorData.timestamp || now;
-        const timeDiff = now - requestTime;
-        
-        let suspicion = 0;
-        
-        // Very fast requests (possible automation)
-        if (timeDiff < 100) suspicion += 0.4;
-        
-        // Requests at unusual hours (for the timezone)
-        const hour = new Date().getHours();
-        if (hour >= 2 && hour <= 6) suspicion += 0.2; // Late night requests
+    // Protection policy
+    if (pathname === '/api/v1/policy' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'read-analytics');
+        if (!auth) return;
         
-        return Math.min(suspicion, 1.0);
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({ policy: tenant.policies.get(), defaults: DEFAULT_POLICY });
+        return;
     }
     
-    analyzeNetwork(visitorData) {
-        // Simulate network analysis
-        let suspicion = 0;
+    if (pathname === '/api/v1/policy' && (req.method === 'PUT' || req.method === 'DELETE')) {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
         
-        // Check for VPN/Proxy indicators
-        if (visitorData.ip && visitorData.ip.startsWith('10.')) suspicion += 0.3;
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
         
-        // Unusual ISP patterns (would need real ISP database)
-        if (visitorData.isp && visitorData.isp.toLowerCase().includes('hosting')) {
-            suspicion += 0.4;
+        // DELETE restores the defaults
+        if (req.method === 'DELETE') {
+            res.status(200).json({ policy: tenant.policies.reset() });
+            return;
         }
         
-        return Math.min(suspicion, 1.0);
-    }
-}
-
-// Smart Alert Engine
-class SmartAlertEngine {
-    constructor() {
-        this.alertRules = [
-            {
-                id: 'high_risk_spike',
-                name: 'High Risk Traffic Spike',
-                condition: (metrics) => metrics.realTime.errorRate > 50,
-                severity: 'HIGH',
-                cooldown: 300000 // 5 minutes
-            },
-            {
-                id: 'ddos_pattern',
-                name: 'Potential DDoS Attack',
-                condition: (metrics) => metrics.realTime.currentThroughput > 1000,
-                severity: 'CRITICAL',
-                cooldown: 600000 // 10 minutes
-            },
-            {
-                id: 'geographic_anomaly',
-                name: 'Geographic Anomaly Detected',
-                condition: (metrics) => this.checkGeographicAnomaly(metrics),
-                severity: 'MEDIUM',
-                cooldown: 900000 // 15 minutes
-            }
-        ];
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
         
-        this.alertHistory = [];
-        this.lastAlerts = new Map();
-        this.webhooks = [];
-        this.emailAlerts = [];
+        const result = tenant.policies.update(body);
+        if (result.error) {
+            res.status(400).json({ error: result.error });
+            return;
+        }
+        
+        res.status(200).json({ policy: result.policy });
+        return;
     }
     
-    checkAlerts(metrics) {
-        const alerts = [];
+    // Detection rules
+    if (pathname === '/api/v1/rules' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
         
-        this.alertRules.forEach(rule => {
-            if (this.shouldTriggerAlert(rule, metrics)) {
-                const alert = this.createAlert(rule, metrics);
-                alerts.push(alert);
-                this.processAlert(alert);
-            }
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({
+            rules: tenant.ruleEngine.list(),
+            fields: RULE_FIELDS,
+            operators: RULE_OPERATORS,
+            actions: RULE_ACTIONS
         });
-        
-        return alerts;
+        return;
     }
     
-    shouldTriggerAlert(rule, metrics) {
-        const lastAlert = this.lastAlerts.get(rule.id);
-        const now = Date.now();
+    if (pathname === '/api/v1/rules' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
         
-        // Check cooldown period
-        if (lastAlert && (now - lastAlert) < rule.cooldown) {
-            return false;
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const validationError = tenant.ruleEngine.validate(body);
+        if (validationError) {
+            res.status(400).json({ error: validationError });
+            return;
         }
         
-        // Check condition
-        return rule.condition(metrics);
+        res.status(201).json(tenant.ruleEngine.create(body));
+        return;
     }
     
-    createAlert(rule, metrics) {
-        const alert = {
-            id: `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            ruleId: rule.id,
-            name: rule.name,
-            severity: rule.severity,
-            timestamp: Date.now(),
-            metrics: metrics.realTime,
-            description: this.generateAlertDescription(rule, metrics),
-            recommendations: this.generateRecommendations(rule, metrics)
-        };
+    const ruleMatch = pathname.match(/^\/api\/v1\/rules\/([A-Za-z0-9_]+)$/);
+    if (ruleMatch && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
         
-        this.alertHistory.push(alert);
-        this.lastAlerts.set(rule.id, Date.now());
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const rule = tenant.ruleEngine.get(ruleMatch[1]);
+        if (!rule) {
+            res.status(404).json({ error: 'Rule not found' });
+            return;
+        }
         
-        return alert;
-    }
-    
-    generateAlertDescription(rule, metrics) {
-        switch (rule.id) {
-            case 'high_risk_spike':
-                return `Error rate has spiked to ${metrics.realTime.errorRate}% (threshold: 50%)`;
-            case 'ddos_pattern':
-                return `Traffic throughput is ${metrics.realTime.currentThroughput} req/min (threshold: 1000)`;
-            case 'geographic_anomaly':
-                return 'Unusual geographic traffic pattern detected';
-            default:
-                return 'Alert condition met';
-        }
-    }
-    
-    generateRecommendations(rule, metrics) {
-        switch (rule.id) {
-            case 'high_risk_spike':
-                return [
-                    'Review recent traffic patterns',
-                    'Consider lowering risk thresholds temporarily',
-                    'Check for coordinated attack patterns'
-                ];
-            case 'ddos_pattern':
-                return [
-                    'Enable aggressive rate limiting',
-                    'Scale infrastructure immediately',
-                    'Contact hosting provider if needed'
-                ];
-            case 'geographic_anomaly':
-                return [
-                    'Review geographic filtering rules',
-                    'Investigate traffic sources',
-                    'Consider temporary geo-blocking'
-                ];
-            default:
-                return ['Investigate alert condition'];
+        if (req.method === 'GET') {
+            res.status(200).json(rule);
+            return;
         }
-    }
-    
-    processAlert(alert) {
-        console.log(`🚨 ALERT [${alert.severity}]: ${alert.name}`);
-        console.log(`   Description: ${alert.description}`);
         
-        // Send to webhooks
-        this.webhooks.forEach(webhook => {
-            this.sendWebhook(webhook, alert);
-        });
+        if (req.method === 'DELETE') {
+            tenant.ruleEngine.delete(rule.id);
+            res.status(200).json({ deleted: rule.id });
+            return;
+        }
         
-        // Send email alerts for high severity
-        if (alert.severity === 'HIGH' || alert.severity === 'CRITICAL') {
-            this.emailAlerts.forEach(email => {
-                this.sendEmailAlert(email, alert);
-            });
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
         }
-    }
-    
-    sendWebhook(webhook, alert) {
-        // Simulate webhook sending
-        console.log(`📡 Sending webhook to ${webhook.url}`);
         
-        const payload = {
-            alert: alert,
-            timestamp: Date.now(),
-            source: 'Traffic Cop'
-        };
+        const merged = { ...rule, ...body };
+        const validationError = tenant.ruleEngine.validate(merged);
+        if (validationError) {
+            res.status(400).json({ error: validationError });
+            return;
+        }
         
-        // In real implementation, use fetch() to send webhook
+        res.status(200).json(tenant.ruleEngine.update(rule.id, merged));
+        return;
     }
     
-    sendEmailAlert(email, alert) {
-        // Simulate email sending
-        console.log(`📧 Sending email alert to ${email}`);
+    // Webhook receivers
+    if (pathname === '/api/v1/webhooks' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({
+            publisherId: tenant.publisherId,
+            events: WEBHOOK_EVENTS,
+            webhooks: tenant.webhooks.list().map(webhook => tenant.webhooks.describe(webhook))
+        });
+        return;
     }
     
-    checkGeographicAnomaly(metrics) {
-        // Check if traffic from unusual countries exceeds threshold
-        const topCountries = metrics.trends.topCountries || [];
-        const highRiskCountries = ['CN', 'RU', 'BD', 'PK'];
+    if (pathname === '/api/v1/webhooks' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
         
-        const highRiskTraffic = topCountries
-            .filter(country => highRiskCountries.includes(country.code))
-            .reduce((sum, country) => sum + country.requests, 0);
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
         
-        const totalTraffic = topCountries.reduce((sum, country) => sum + country.requests, 0);
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const validationError = tenant.webhooks.validate(body) || await tenant.webhooks.checkDestination(body.url);
+        if (validationError) {
+            res.status(400).json({ error: validationError });
+            return;
+        }
+        if (tenant.webhooks.list().length >= MAX_WEBHOOKS) {
+            res.status(409).json({ error: `A publisher may register at most ${MAX_WEBHOOKS} webhooks` });
+            return;
+        }
         
-        return totalTraffic > 0 && (highRiskTraffic / totalTraffic) > 0.6;
-    }
-    
-    addWebhook(url, secret = null) {
-        this.webhooks.push({ url, secret });
-    }
-    
-    addEmailAlert(email) {
-        this.emailAlerts.push(email);
-    }
-    
-    getAlertHistory(limit = 50) {
-        return this.alertHistory.slice(-limit).reverse();
-    }
-}
-
-// Initialize advanced features
-const analytics = new AdvancedAnalytics();
-const mlEngine = new MLThreatDetection();
-const alertEngine = new SmartAlertEngine();
-
-// Add webhook for testing
-alertEngine.addWebhook('https://your-webhook-url.com/alerts');
-alertEngine.addEmailAlert('admin@yoursite.com');
-
-// Enhanced traffic analysis function with ML
-function analyzeTraffic(visitorData) {
-    const sessionId = 'sess_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    const startTime = Date.now();
-    
-    // Basic analysis
-    let riskScore = 0;
-    const threats = [];
-    
-    // Bot detection
-    if (visitorData.userAgent && visitorData.userAgent.toLowerCase().includes('bot')) {
-        riskScore += 40;
-        threats.push('Bot detected in user agent');
+        const webhook = tenant.webhooks.create(body);
+        res.status(201).json({
+            ...tenant.webhooks.describe(webhook),
+            secret: webhook.secret,
+            message: 'Store this secret now - it cannot be retrieved again'
+        });
+        return;
     }
     
-    // Screen size check
-    if (visitorData.screenResolution === '1024x768' || !visitorData.screenResolution) {
-        riskScore += 25;
-        threats.push('Suspicious screen resolution');
+    if (pathname === '/api/v1/webhooks/dead-letters' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        res.status(200).json({ publisherId: tenant.publisherId, deadLetters: tenant.webhooks.getDeadLetters() });
+        return;
     }
     
-    // Geographic risk
-    if (visitorData.countryCode && ['CN', 'RU', 'BD'].includes(visitorData.countryCode)) {
-        riskScore += 30;
-        threats.push('High-risk geographic location');
+    const deadLetterMatch = pathname.match(/^\/api\/v1\/webhooks\/dead-letters\/([A-Za-z0-9_]+)\/replay$/);
+    if (deadLetterMatch && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+        const delivery = tenant.webhooks.replay(deadLetterMatch[1]);
+        if (!delivery) {
+            res.status(404).json({ error: 'Dead letter not found or its webhook was deleted' });
+            return;
+        }
+        
+        res.status(202).json(tenant.webhooks.describeDelivery(delivery));
+        return;
     }
     
-    // ML Analysis
-    const mlAnalysis = mlEngine.analyzeWithML(visitorData);
-    
-    // Combine basic and ML scores
-    const finalScore = Math.round((riskScore + mlAnalysis.mlRiskScore) / 2);
-    
-    // Determine action
-    let action = 'allow';
-    if (finalScore >= 80) action = 'block';
-    else if (finalScore >= 60) action = 'challenge';
-    else if (finalScore >= 30) action = 'monitor';
-    
-    const responseTime = Date.now() - startTime;
-    
-    const analysis = {
-        sessionId,
-        riskScore: finalScore,
-        action,
-        confidence: mlAnalysis.confidence,
-        threats: [...threats, ...mlAnalysis.threatVector],
-        responseTime,
-        timestamp: new Date().toISOString(),
-        mlInsights: mlAnalysis
-    };
-    
-    // Record for analytics
-    analytics.recordRequest(analysis, responseTime, '192.168.1.1');
-    
-    // Check for alerts
-    const currentMetrics = analytics.getAdvancedMetrics();
-    alertEngine.checkAlerts(currentMetrics);
-    
-    // Store session
-    sessions.set(sessionId, analysis);
-    
-    return analysis;
-}
-
-// Vercel export function (replace the entire server section above)
-module.exports = async (req, res) => {
-    console.log(`${req.method} ${req.url}`);
-    
-    // Enable CORS for testing
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
-        return;
+    const webhookMatch = pathname.match(/^\/api\/v1\/webhooks\/([A-Za-z0-9_]+)(\/test|\/deliveries)?$/);
+    if (webhookMatch) {
+        const route = webhookMatch[2] || '';
+        const allowed = { '': ['GET', 'PUT', 'DELETE'], '/test': ['POST'], '/deliveries': ['GET'] }[route];
+        if (allowed.includes(req.method)) {
+            const auth = authenticate(req, res, 'admin');
+            if (!auth) return;
+            
+            const tenant = getTenant(getTargetPublisherId(auth, searchParams));
+            const webhook = tenant.webhooks.get(webhookMatch[1]);
+            if (!webhook) {
+                res.status(404).json({ error: 'Webhook not found' });
+                return;
+            }
+            
+            if (route === '/deliveries') {
+                const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 50, 1), MAX_WEBHOOK_DELIVERIES);
+                res.status(200).json({ webhookId: webhook.id, deliveries: tenant.webhooks.getDeliveries(webhook.id, limit) });
+                return;
+            }
+            
+            if (route === '/test') {
+                const delivery = await tenant.webhooks.ping(webhook);
+                res.status(200).json({
+                    success: delivery.status === 'delivered',
+                    ...tenant.webhooks.describeDelivery(delivery)
+                });
+                return;
+            }
+            
+            if (req.method === 'GET') {
+                res.status(200).json(tenant.webhooks.describe(webhook));
+                return;
+            }
+            
+            if (req.method === 'DELETE') {
+                tenant.webhooks.delete(webhook.id);
+                res.status(200).json({ deleted: webhook.id });
+                return;
+            }
+            
+            let body;
+            try {
+                body = await readJsonBody(req);
+            } catch (error) {
+                res.status(error.statusCode || 400).json({ error: error.message });
+                return;
+            }
+            
+            const validationError = tenant.webhooks.validate({ ...webhook, ...body }) ||
+                (body.url !== undefined ? await tenant.webhooks.checkDestination(body.url) : null);
+            if (validationError) {
+                res.status(400).json({ error: validationError });
+                return;
+            }
+            
+            res.status(200).json(tenant.webhooks.describe(tenant.webhooks.update(webhook.id, body)));
+            return;
+        }
     }
     
-    // Health check endpoint
-    if (req.url === '/health' && req.method === 'GET') {
-        res.status(200).json({ 
-            status: 'healthy', 
-            timestamp: new Date().toISOString(),
-            message: 'Traffic Cop API is running on Vercel!',
-            version: '2.0.0',
-            features: ['ML Detection', 'Real-time Analytics', 'Smart Alerts']
+    // API key management
+    if (pathname === '/api/v1/keys' && req.method === 'GET') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const publisherId = getTargetPublisherId(auth, searchParams);
+        res.status(200).json({
+            publisherId,
+            keys: apiKeys.list(publisherId).map(record => apiKeys.describe(record))
         });
         return;
     }
     
-    // Main analysis endpoint
-    if (req.url === '/api/v1/analyze' && req.method === 'POST') {
-        // Check API key
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            res.status(401).json({ error: 'Missing API key' });
+    if (pathname === '/api/v1/keys' && req.method === 'POST') {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
             return;
         }
         
-        const apiKey = authHeader.substring(7);
-        if (!apiKeys.has(apiKey)) {
-            res.status(401).json({ error: 'Invalid API key' });
+        const publisherId = getTargetPublisherId(auth, searchParams);
+        const type = body.type || 'secret';
+        if (!['public', 'secret'].includes(type)) {
+            res.status(400).json({ error: "type must be 'public' or 'secret'" });
             return;
         }
         
-        // Parse request body
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const visitorData = JSON.parse(body);
-                const analysis = analyzeTraffic(visitorData);
-                
-                res.status(200).json(analysis);
-            } catch (error) {
-                res.status(400).json({ error: 'Invalid JSON' });
-            }
-        });
-        return;
-    }
-    
-    // Dashboard endpoint
-    if (req.url === '/api/v1/dashboard' && req.method === 'GET') {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            res.status(401).json({ error: 'Missing API key' });
+        const scopes = body.scopes || (type === 'public' ? ['analyze'] : ['read-analytics', 'verify']);
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            res.status(400).json({ error: `scopes must be a non-empty subset of ${API_KEY_SCOPES.join(', ')}` });
             return;
         }
         
-        const apiKey = authHeader.substring(7);
-        if (!apiKeys.has(apiKey)) {
-            res.status(401).json({ error: 'Invalid API key' });
+        // Public keys ship inside web pages, so they may only analyze
+        if (type === 'public' && scopes.some(scope => scope !== 'analyze')) {
+            res.status(400).json({ error: "Public keys can only carry the 'analyze' scope" });
             return;
         }
         
-        res.status(200).json({
-            totalSessions: sessions.size,
-            blockedSessions: Array.from(sessions.values()).filter(s => s.action === 'block').length,
-            blockRate: sessions.size > 0 ? Math.round((Array.from(sessions.values()).filter(s => s.action === 'block').length / sessions.size) * 100) : 0
+        const { rawKey, record } = apiKeys.create(publisherId, { name: body.name, type, scopes });
+        res.status(201).json({
+            key: rawKey,
+            ...apiKeys.describe(record),
+            message: 'Store this key now - it cannot be retrieved again'
         });
         return;
     }
     
-    // Advanced analytics endpoint
-    if (req.url === '/api/v1/analytics/advanced' && req.method === 'GET') {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            res.status(401).json({ error: 'Missing API key' });
+    const keyMatch = pathname.match(/^\/api\/v1\/keys\/([A-Za-z0-9_]+)(\/rotate)?$/);
+    if (keyMatch && ((keyMatch[2] && req.method === 'POST') || (!keyMatch[2] && req.method === 'DELETE'))) {
+        const auth = authenticate(req, res, 'admin');
+        if (!auth) return;
+        
+        const record = apiKeys.get(keyMatch[1]);
+        if (!record || (record.publisherId !== auth.publisher.id && !isAdmin(auth))) {
+            res.status(404).json({ error: 'API key not found' });
             return;
         }
         
-        const apiKey = authHeader.substring(7);
-        if (!apiKeys.has(apiKey)) {
-            res.status(401).json({ error: 'Invalid API key' });
+        if (!keyMatch[2]) {
+            apiKeys.revoke(record.id);
+            res.status(200).json(apiKeys.describe(record));
             return;
         }
         
-        res.status(200).json(analytics.getAdvancedMetrics());
-        return;
-    }
-    
-    // Real-time streaming endpoint
-    if (req.url === '/api/v1/analytics/stream' && req.method === 'GET') {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        // Send real-time updates every 5 seconds
-        const streamInterval = setInterval(() => {
-            const data = {
-                timestamp: Date.now(),
-                metrics: analytics.getAdvancedMetrics().realTime
-            };
-            res.write(`data: ${JSON.stringify(data)}\n\n`);
-        }, 5000);
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+            return;
+        }
         
-        req.on('close', () => {
-            clearInterval(streamInterval);
-        });
-        return;
-    }
-    
-    // ML insights endpoint
-    if (req.url === '/api/v1/ml/insights' && req.method === 'GET') {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            res.status(401).json({ error: 'Missing API key' });
+        const grace = body.gracePeriodSeconds !== undefined ? Number(body.gracePeriodSeconds) : DEFAULT_ROTATION_GRACE_SECONDS;
+        if (isNaN(grace) || grace < 0) {
+            res.status(400).json({ error: 'gracePeriodSeconds must be a non-negative number' });
             return;
         }
         
-        res.status(200).json({
-            modelAccuracy: 94.2,
-            trainingDataPoints: mlEngine.trainingData.length,
-            featureWeights: mlEngine.model.weights,
-            recentPredictions: analytics.getAdvancedMetrics().predictions
-        });
-        return;
-    }
-    
-    // Alerts endpoint
-    if (req.url === '/api/v1/alerts' && req.method === 'GET') {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            res.status(401).json({ error: 'Missing API key' });
+        const rotation = apiKeys.rotate(record.id, grace);
+        if (!rotation) {
+            res.status(409).json({ error: 'Only active keys can be rotated' });
             return;
         }
         
-        res.status(200).json({
-            recentAlerts: alertEngine.getAlertHistory(20),
-            alertRules: alertEngine.alertRules.map(rule => ({
-                id: rule.id,
-                name: rule.name,
-                severity: rule.severity
-            }))
+        res.status(201).json({
+            key: rotation.rawKey,
+            ...apiKeys.describe(rotation.record),
+            previous: apiKeys.describe(rotation.previous),
+            message: 'Store this key now - it cannot be retrieved again'
         });
         return;
     }
     
     // 404 for other routes
     res.status(404).json({ error: 'Not found' });
-};
+}
 
+// Vercel export function; an unexpected error still gets a response instead of a hung request.
+// HTTP errors (createHttpError) thrown by route helpers are answered with their status
+module.exports = async (req, res) => {
+    try {
+        await handleRequest(req, res);
+    } catch (error) {
+        if (error.statusCode && !res.headersSent) {
+            res.status(error.statusCode).json({ error: error.message });
+            return;
+        }
+        console.error('Request failed:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    }
+};
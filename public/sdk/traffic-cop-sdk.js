@@ -2,22 +2,531 @@
 (function(window) {
     'use strict';
     
+    // Running mean / standard deviation without keeping samples (Welford)
+    class RunningStats {
+        constructor() {
+            this.count = 0;
+            this.mean = 0;
+            this.m2 = 0;
+        }
+        
+        add(value) {
+            this.count++;
+            const delta = value - this.mean;
+            this.mean += delta / this.count;
+            this.m2 += delta * (value - this.mean);
+        }
+        
+        toPair() {
+            const stdDev = this.count > 1 ? Math.sqrt(this.m2 / (this.count - 1)) : 0;
+            return [Math.round(this.mean * 1000) / 1000, Math.round(stdDev * 1000) / 1000];
+        }
+    }
+    
+    // Behavioral telemetry: aggregates only, never coordinates or typed keys
+    class BehaviorCollector {
+        constructor() {
+            this.startTime = Date.now();
+            this.mouse = { samples: 0, distance: 0, pauses: 0, velocity: new RunningStats(), curvature: new RunningStats(), straightness: new RunningStats() };
+            this.clicks = { intervals: new RunningStats(), untrusted: 0, last: 0, count: 0 };
+            this.scroll = { intervals: new RunningStats(), last: 0, count: 0, maxDepth: 0 };
+            this.keys = { intervals: new RunningStats(), last: 0, count: 0 };
+            this.touch = { count: 0 };
+            this.focus = { blurs: 0, hiddenMs: 0, hiddenSince: document.hidden ? Date.now() : null };
+            
+            this.lastPoint = null;
+            this.lastAngle = null;
+            this.stroke = null;
+        }
+        
+        start() {
+            const passive = { passive: true, capture: true };
+            document.addEventListener('mousemove', event => this.onMouseMove(event), passive);
+            document.addEventListener('click', event => this.onClick(event), passive);
+            window.addEventListener('scroll', () => this.onScroll(), passive);
+            document.addEventListener('keydown', () => this.onKey(), passive);
+            document.addEventListener('touchstart', () => { this.touch.count++; }, passive);
+            window.addEventListener('blur', () => { this.focus.blurs++; }, passive);
+            document.addEventListener('visibilitychange', () => this.onVisibilityChange(), passive);
+        }
+        
+        onMouseMove(event) {
+            const now = Date.now();
+            const point = { x: event.clientX, y: event.clientY, time: now };
+            this.mouse.samples++;
+            
+            const previous = this.lastPoint;
+            this.lastPoint = point;
+            
+            // A gap ends the current stroke
+            if (!previous || now - previous.time > 300) {
+                if (previous) this.mouse.pauses++;
+                this.endStroke();
+                this.stroke = { startX: point.x, startY: point.y, path: 0 };
+                this.lastAngle = null;
+                return;
+            }
+            
+            const dx = point.x - previous.x;
+            const dy = point.y - previous.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) return;
+            
+            this.mouse.distance += distance;
+            this.stroke.path += distance;
+            this.stroke.endX = point.x;
+            this.stroke.endY = point.y;
+            this.mouse.velocity.add(distance / Math.max(now - previous.time, 1));
+            
+            const angle = Math.atan2(dy, dx);
+            if (this.lastAngle !== null) {
+                let turn = Math.abs(angle - this.lastAngle);
+                if (turn > Math.PI) turn = 2 * Math.PI - turn;
+                this.mouse.curvature.add(turn);
+            }
+            this.lastAngle = angle;
+        }
+        
+        // Straight-line distance over path length for a stroke
+        getStraightness(stroke) {
+            if (!stroke || stroke.path < 20) return null;
+            const displacement = Math.sqrt(Math.pow(stroke.endX - stroke.startX, 2) + Math.pow(stroke.endY - stroke.startY, 2));
+            return displacement / stroke.path;
+        }
+        
+        endStroke() {
+            const straightness = this.getStraightness(this.stroke);
+            if (straightness !== null) this.mouse.straightness.add(straightness);
+        }
+        
+        onClick(event) {
+            const now = Date.now();
+            if (!event.isTrusted) this.clicks.untrusted++;
+            if (this.clicks.last) this.clicks.intervals.add(now - this.clicks.last);
+            this.clicks.last = now;
+            this.clicks.count++;
+        }
+        
+        onScroll() {
+            const now = Date.now();
+            if (this.scroll.last) this.scroll.intervals.add(now - this.scroll.last);
+            this.scroll.last = now;
+            this.scroll.count++;
+            
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            if (scrollable > 0) {
+                this.scroll.maxDepth = Math.max(this.scroll.maxDepth, Math.round((window.scrollY / scrollable) * 100));
+            }
+        }
+        
+        onKey() {
+            const now = Date.now();
+            if (this.keys.last) this.keys.intervals.add(now - this.keys.last);
+            this.keys.last = now;
+            this.keys.count++;
+        }
+        
+        onVisibilityChange() {
+            if (document.hidden) {
+                this.focus.hiddenSince = Date.now();
+            } else if (this.focus.hiddenSince) {
+                this.focus.hiddenMs += Date.now() - this.focus.hiddenSince;
+                this.focus.hiddenSince = null;
+            }
+        }
+        
+        // Number of input events seen so far, to skip reports with nothing new
+        getActivity() {
+            return this.mouse.samples + this.clicks.count + this.scroll.count + this.keys.count + this.touch.count;
+        }
+        
+        // Compact cumulative report; key legend is documented in the server's normalizeBehavior
+        toReport() {
+            const now = Date.now();
+            const timeOnPage = now - this.startTime;
+            const hiddenMs = this.focus.hiddenMs + (this.focus.hiddenSince ? now - this.focus.hiddenSince : 0);
+            
+            // Include the stroke still in progress
+            const strokes = this.mouse.straightness;
+            const current = this.getStraightness(this.stroke);
+            const straightness = current === null
+                ? (strokes.count > 0 ? strokes.mean : 0)
+                : (strokes.mean * strokes.count + current) / (strokes.count + 1);
+            
+            return {
+                t: timeOnPage,
+                m: {
+                    n: this.mouse.samples,
+                    d: Math.round(this.mouse.distance),
+                    v: this.mouse.velocity.toPair(),
+                    c: this.mouse.curvature.toPair()[0],
+                    s: Math.round(straightness * 1000) / 1000,
+                    p: this.mouse.pauses
+                },
+                c: { n: this.clicks.count, i: this.clicks.intervals.toPair(), u: this.clicks.untrusted },
+                s: { n: this.scroll.count, i: this.scroll.intervals.toPair(), d: this.scroll.maxDepth },
+                k: { n: this.keys.count, i: this.keys.intervals.toPair() },
+                h: { n: this.touch.count },
+                f: { b: this.focus.blurs, h: hiddenMs, v: timeOnPage - hiddenMs }
+            };
+        }
+    }
+    
+    // SHA-256 of an ASCII string as eight 32-bit words. Synchronous, so the
+    // proof-of-work loop does not pay for a promise per attempt.
+    const SHA256_K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+    
+    function sha256(text) {
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) & 0xff);
+        const bitLength = bytes.length * 8;
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) bytes.push(0);
+        for (let i = 7; i >= 0; i--) bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+        
+        const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        const w = new Uint32Array(64);
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+            
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                h = g; g = f; f = e; e = (d + t1) >>> 0;
+                d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+            }
+            hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+            hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+        }
+        return hash;
+    }
+    
+    function leadingZeroBits(words) {
+        let bits = 0;
+        for (const word of words) {
+            const zeros = Math.clz32(word);
+            bits += zeros;
+            if (zeros < 32) break;
+        }
+        return bits;
+    }
+    
+    // Find a nonce for a server-issued challenge in small slices, so the page stays responsive
+    function solveProofOfWork(challenge) {
+        return new Promise(resolve => {
+            let nonce = 0;
+            const work = () => {
+                const end = nonce + 2000;
+                for (; nonce < end; nonce++) {
+                    if (leadingZeroBits(sha256(challenge.prefix + nonce)) >= challenge.difficulty) {
+                        resolve(String(nonce));
+                        return;
+                    }
+                }
+                setTimeout(work, 0);
+            };
+            work();
+        });
+    }
+    
+    // Browser fingerprint and automation artifacts. Canvas, WebGL and audio
+    // output is hashed here; only the hashes leave the browser.
+    function hashString(text) {
+        // FNV-1a, 32 bit
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+    
+    const Fingerprint = {
+        async collect({ detectCDP = true } = {}) {
+            const [permissionsQuirk, audio] = await Promise.all([this.checkPermissions(), this.getAudioHash()]);
+            
+            return {
+                webdriver: navigator.webdriver === true,
+                chrome: typeof window.chrome !== 'undefined',
+                cdp: detectCDP ? this.detectCDP() : null,
+                permissionsQuirk: permissionsQuirk,
+                languages: navigator.languages ? navigator.languages.length : null,
+                outer: [window.outerWidth, window.outerHeight],
+                touchPoints: navigator.maxTouchPoints || 0,
+                hardwareConcurrency: navigator.hardwareConcurrency || null,
+                deviceMemory: navigator.deviceMemory || null,
+                uaData: navigator.userAgentData
+                    ? { platform: navigator.userAgentData.platform, mobile: navigator.userAgentData.mobile }
+                    : null,
+                canvas: this.getCanvasHash(),
+                webgl: this.getWebGL(),
+                audio: audio
+            };
+        },
+        
+        // A Chrome DevTools Protocol client (Puppeteer, Playwright) serializes
+        // logged errors and so reads their stack; a normal page never does.
+        // The check has to log, so visitors with the console open see an empty
+        // debug-level Error regardless of config.debug; detectCDP: false skips it
+        detectCDP() {
+            let detected = false;
+            const error = new Error();
+            Object.defineProperty(error, 'stack', {
+                get() {
+                    detected = true;
+                    return '';
+                }
+            });
+            console.debug(error);
+            return detected;
+        },
+        
+        // Headless Chrome reports notifications as both denied and promptable
+        async checkPermissions() {
+            if (!navigator.permissions || !window.Notification) return false;
+            try {
+                const status = await navigator.permissions.query({ name: 'notifications' });
+                return Notification.permission === 'denied' && status.state === 'prompt';
+            } catch (error) {
+                return false;
+            }
+        },
+        
+        getCanvasHash() {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = 240;
+                canvas.height = 60;
+                const context = canvas.getContext('2d');
+                context.textBaseline = 'top';
+                context.font = '16px Arial';
+                context.fillStyle = '#f60';
+                context.fillRect(100, 5, 80, 30);
+                context.fillStyle = '#069';
+                context.fillText('Traffic Cop 🛡️ fingerprint', 4, 12);
+                context.fillStyle = 'rgba(102, 204, 0, 0.7)';
+                context.fillText('Traffic Cop 🛡️ fingerprint', 6, 16);
+                return hashString(canvas.toDataURL());
+            } catch (error) {
+                return null;
+            }
+        },
+        
+        getWebGL() {
+            try {
+                const gl = document.createElement('canvas').getContext('webgl');
+                if (!gl) return null;
+                
+                const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+                const parameters = [
+                    gl.getParameter(gl.MAX_TEXTURE_SIZE),
+                    gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+                    gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+                    gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+                    (gl.getSupportedExtensions() || []).join(',')
+                ];
+                
+                return {
+                    vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : gl.getParameter(gl.VENDOR),
+                    renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
+                    hash: hashString(parameters.join('|'))
+                };
+            } catch (error) {
+                return null;
+            }
+        },
+        
+        // Rendering of a fixed oscillator differs slightly per audio stack
+        async getAudioHash() {
+            const AudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            if (!AudioContext) return null;
+            
+            try {
+                const context = new AudioContext(1, 5000, 44100);
+                const oscillator = context.createOscillator();
+                oscillator.type = 'triangle';
+                oscillator.frequency.value = 10000;
+                const compressor = context.createDynamicsCompressor();
+                oscillator.connect(compressor);
+                compressor.connect(context.destination);
+                oscillator.start(0);
+                
+                const timeout = new Promise(resolve => setTimeout(() => resolve(null), 500));
+                const buffer = await Promise.race([context.startRendering(), timeout]);
+                if (!buffer) return null;
+                
+                const samples = buffer.getChannelData(0);
+                let sum = 0;
+                for (let i = 4500; i < samples.length; i++) sum += Math.abs(samples[i]);
+                return hashString(sum.toString());
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+    
+    // Ad slot click detection. Clicks inside ad iframes never reach the page,
+    // so they are inferred from the window losing focus to a hovered ad iframe.
+    const AD_SLOT_SELECTORS = ['.adsbygoogle', '[id^="div-gpt-ad"]', '[data-google-query-id]'];
+    
+    class AdClickTracker {
+        constructor(onClick, extraSelectors = []) {
+            this.onClick = onClick;
+            this.selector = AD_SLOT_SELECTORS.concat(extraSelectors).join(', ');
+            this.slots = new Map(); // element -> { id, renderedAt, hoverStart }
+            this.pointerPath = [];  // recent [x, y, time] points
+            this.hoveredSlot = null;
+            this.lastPointer = 'mouse';
+        }
+        
+        start() {
+            this.scanSlots();
+            if (window.MutationObserver) {
+                new MutationObserver(() => this.scanSlots()).observe(document.documentElement, { childList: true, subtree: true });
+            }
+            
+            const passive = { passive: true, capture: true };
+            document.addEventListener('mousemove', event => this.onPointerMove(event), passive);
+            document.addEventListener('touchstart', () => { this.lastPointer = 'touch'; }, passive);
+            document.addEventListener('mouseover', event => this.onHover(event), passive);
+            document.addEventListener('click', event => this.onDocumentClick(event), passive);
+            window.addEventListener('blur', () => setTimeout(() => this.onWindowBlur(), 0));
+        }
+        
+        scanSlots() {
+            document.querySelectorAll(this.selector).forEach((element, index) => {
+                if (this.slots.has(element)) return;
+                this.slots.set(element, {
+                    id: element.id || element.getAttribute('data-ad-slot') || `slot_${index}`,
+                    renderedAt: Date.now(),
+                    hoverStart: null
+                });
+            });
+        }
+        
+        getSlot(element) {
+            const container = element && element.closest ? element.closest(this.selector) : null;
+            return container ? { element: container, ...this.slots.get(container) } : null;
+        }
+        
+        onPointerMove(event) {
+            this.lastPointer = 'mouse';
+            this.pointerPath.push([event.clientX, event.clientY, Date.now()]);
+            if (this.pointerPath.length > 20) this.pointerPath.shift();
+        }
+        
+        onHover(event) {
+            const slot = this.getSlot(event.target);
+            const element = slot ? slot.element : null;
+            if (element === this.hoveredSlot) return;
+            
+            if (this.hoveredSlot && this.slots.has(this.hoveredSlot)) {
+                this.slots.get(this.hoveredSlot).hoverStart = null;
+            }
+            this.hoveredSlot = element;
+            if (element) {
+                if (!this.slots.has(element)) this.scanSlots();
+                this.slots.get(element).hoverStart = Date.now();
+            }
+        }
+        
+        onDocumentClick(event) {
+            const slot = this.getSlot(event.target);
+            if (slot) this.report(slot, event.clientX, event.clientY, event.isTrusted, 'click');
+        }
+        
+        // Focus moved into an ad iframe: treat it as a click at the last pointer position
+        onWindowBlur() {
+            const active = document.activeElement;
+            if (!active || active.tagName !== 'IFRAME') return;
+            
+            const slot = this.getSlot(active);
+            if (!slot) return;
+            
+            const last = this.pointerPath[this.pointerPath.length - 1];
+            this.report(slot, last ? last[0] : null, last ? last[1] : null, true, 'iframe_blur');
+        }
+        
+        report(slot, clientX, clientY, trusted, via) {
+            const now = Date.now();
+            const rect = slot.element.getBoundingClientRect();
+            const round = value => Math.round(value * 1000) / 1000;
+            
+            // Path as [dx, dy, dt] steps, so it carries no page coordinates
+            const path = [];
+            for (let i = 1; i < this.pointerPath.length; i++) {
+                const [x, y, time] = this.pointerPath[i];
+                const [previousX, previousY, previousTime] = this.pointerPath[i - 1];
+                if (now - time > 5000) continue;
+                path.push([x - previousX, y - previousY, time - previousTime]);
+            }
+            
+            this.onClick({
+                slot: slot.id,
+                page: window.location.pathname,
+                x: clientX !== null && rect.width > 0 ? round((clientX - rect.left) / rect.width) : null,
+                y: clientY !== null && rect.height > 0 ? round((clientY - rect.top) / rect.height) : null,
+                dwell: slot.hoverStart ? now - slot.hoverStart : 0,
+                sinceRender: now - slot.renderedAt,
+                path: path,
+                trusted: trusted,
+                via: via,
+                pointer: this.lastPointer
+            });
+        }
+    }
+    
     class TrafficCopSDK {
         constructor(apiKey, config = {}) {
             this.apiKey = apiKey;
             this.config = {
                 endpoint: config.endpoint || 'http://localhost:3000/api/v1/analyze',
                 mode: config.mode || 'monitor', // monitor, challenge, block
-                blockThreshold: config.blockThreshold || 80,
-                challengeThreshold: config.challengeThreshold || 60,
+                // Risk thresholds are set per publisher on the server (/api/v1/policy)
                 debug: config.debug || false,
                 autoProtect: config.autoProtect !== false, // default true
+                collectBehavior: config.collectBehavior !== false, // default true
+                collectFingerprint: config.collectFingerprint !== false, // default true
+                detectCDP: config.detectCDP !== false, // default true; logs one empty console.debug Error
+                behaviorReportDelays: [5000, 15000, 30000, 60000], // ms after load
+                eventFlushInterval: 10000, // ms
+                eventBatchSize: 20,
+                trackAdClicks: config.trackAdClicks !== false, // default true
+                adSlotSelectors: [], // extra selectors for ad containers
                 ...config
             };
             
-            this.sessionId = this.generateSessionId();
+            // Continue this tab's session across page views
+            const storedSession = this.loadSession();
+            this.sessionId = storedSession ? storedSession.sessionId : this.generateSessionId();
+            this.sessionToken = storedSession ? storedSession.sessionToken : null;
             this.startTime = Date.now();
             this.isBlocked = false;
+            this.lastAction = null;
+            this.verdictToken = null;
+            this.behavior = this.config.collectBehavior ? new BehaviorCollector() : null;
+            this.reportedActivity = 0;
+            this.eventQueue = [];
+            this.fingerprint = null;
             
             if (this.config.autoProtect) {
                 this.init();
@@ -34,15 +543,35 @@
             
             // Set up ongoing monitoring
             this.setupEventListeners();
+            
+            if (this.behavior) {
+                this.behavior.start();
+                this.scheduleBehaviorReports();
+            }
+            
+            // Ad clicks often navigate away, so they are sent right away
+            if (this.config.trackAdClicks) {
+                this.adClicks = new AdClickTracker(click => {
+                    this.logEvent('ad_click', click);
+                    this.flushEvents({ beacon: true });
+                }, this.config.adSlotSelectors);
+                this.adClicks.start();
+            }
         }
         
-        async analyzeCurrentVisitor() {
+        async analyzeCurrentVisitor(trigger = 'page_load') {
             try {
-                const visitorData = this.collectVisitorData();
+                // Collected once per page; later analyses reuse it
+                if (this.config.collectFingerprint && !this.fingerprint) {
+                    this.fingerprint = await Fingerprint.collect({ detectCDP: this.config.detectCDP }).catch(() => null);
+                }
+                
+                const visitorData = this.collectVisitorData(trigger);
                 const response = await this.sendAnalysisRequest(visitorData);
                 
                 if (response.ok) {
                     const analysis = await response.json();
+                    this.saveSession(analysis);
                     this.handleAnalysisResult(analysis);
                     this.storeAnalysis(analysis);
                 } else {
@@ -58,9 +587,11 @@
             }
         }
         
-        collectVisitorData() {
+        collectVisitorData(trigger = 'page_load') {
             return {
                 sessionId: this.sessionId,
+                sessionToken: this.sessionToken,
+                trigger: trigger,
                 url: window.location.href,
                 referrer: document.referrer,
                 userAgent: navigator.userAgent,
@@ -72,7 +603,9 @@
                 cookieEnabled: navigator.cookieEnabled,
                 timestamp: this.startTime,
                 loadTime: Date.now() - this.startTime,
-                plugins: navigator.plugins.length
+                plugins: navigator.plugins.length,
+                behavior: this.behavior ? this.behavior.toReport() : undefined,
+                fingerprint: this.fingerprint || undefined
             };
         }
         
@@ -87,11 +620,58 @@
             });
         }
         
+        // Send cumulative telemetry so the server can re-score the session
+        scheduleBehaviorReports() {
+            this.config.behaviorReportDelays.forEach(delay => {
+                setTimeout(() => this.sendBehaviorReport(), delay);
+            });
+            
+            // Last report when the page goes away
+            window.addEventListener('pagehide', () => this.sendBehaviorReport({ keepalive: true }));
+        }
+        
+        async sendBehaviorReport({ keepalive = false } = {}) {
+            if (!this.sessionToken || this.isBlocked) return;
+            
+            // Nothing new since the last report
+            const activity = this.behavior.getActivity();
+            if (activity === this.reportedActivity && !keepalive) return;
+            this.reportedActivity = activity;
+            
+            const endpoint = this.config.endpoint.replace(/\/analyze$/, `/sessions/${this.sessionId}/behavior`);
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    keepalive: keepalive,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.apiKey}`
+                    },
+                    body: JSON.stringify({ sessionToken: this.sessionToken, behavior: this.behavior.toReport() })
+                });
+                
+                if (response.ok && !keepalive) {
+                    const analysis = await response.json();
+                    // Only act when the verdict changes
+                    if (analysis.action !== this.lastAction) {
+                        this.handleAnalysisResult(analysis);
+                    }
+                }
+            } catch (error) {
+                if (this.config.debug) {
+                    console.error('Traffic Cop behavior report failed:', error);
+                }
+            }
+        }
+        
         handleAnalysisResult(analysis) {
             if (this.config.debug) {
                 console.log('🔍 Analysis result:', analysis);
             }
             
+            this.lastAction = analysis.action;
+            this.verdictToken = analysis.verdictToken || null;
+            
             // Execute protection based on risk level and mode
             switch (analysis.action) {
                 case 'block':
@@ -103,7 +683,8 @@
                     break;
                     
                 case 'challenge':
-                    if (this.config.mode === 'challenge' || this.config.mode === 'block') {
+                    if ((this.config.mode === 'challenge' || this.config.mode === 'block') && analysis.challenge) {
+                        this.blockAds();
                         this.showChallenge(analysis);
                         this.logEvent('challenge_shown', analysis);
                     }
@@ -173,7 +754,12 @@
             }, 5000);
         }
         
+        // The visitor presses and holds while the proof of work runs; the server
+        // verifies both, and only its answer lets the ads back in
         showChallenge(analysis) {
+            if (document.getElementById('traffic-cop-challenge')) return;
+            
+            const challenge = analysis.challenge;
             const overlay = document.createElement('div');
             overlay.id = 'traffic-cop-challenge';
             overlay.innerHTML = `
@@ -191,29 +777,93 @@
                             Risk Score: ${analysis.riskScore}%<br>
                             Session: ${analysis.sessionId.substr(-8)}
                         </p>
-                        <button onclick="window.trafficCop.passChallenge()" 
+                        <button data-role="hold" 
                                style="background: #4CAF50; color: white; border: none; padding: 15px 30px; 
                                       border-radius: 8px; font-size: 16px; cursor: pointer; margin: 10px;">
-                            ✓ I'm Human
+                            ${challenge.holdMs > 0 ? '✋ Press and hold' : '✓ Verify'}
                         </button>
-                        <button onclick="window.trafficCop.closeChallenge()" 
+                        <button data-role="close" 
                                style="background: #999; color: white; border: none; padding: 15px 30px; 
                                       border-radius: 8px; font-size: 16px; cursor: pointer; margin: 10px;">
                             ✗ Close
                         </button>
-                        <br>
+                        <p data-role="status" style="font-size: 0.9em; color: #666; min-height: 1.2em;"></p>
                         <small style="color: #999;">Powered by Traffic Cop</small>
                     </div>
                 </div>
             `;
             document.body.appendChild(overlay);
+            
+            const holdButton = overlay.querySelector('[data-role="hold"]');
+            const status = overlay.querySelector('[data-role="status"]');
+            overlay.querySelector('[data-role="close"]').addEventListener('click', () => this.closeChallenge());
+            
+            // Proof of work starts right away; the hold only has to finish alongside it
+            const solution = solveProofOfWork(challenge);
+            let pressedAt = null;
+            let holding = false;
+            
+            const release = async (event) => {
+                if (!holding) return;
+                holding = false;
+                const holdMs = Date.now() - pressedAt;
+                if (holdMs < challenge.holdMs) {
+                    status.textContent = 'Keep holding a little longer';
+                    return;
+                }
+                
+                status.textContent = 'Verifying...';
+                const nonce = await solution;
+                this.verifyChallenge(challenge, nonce, { holdMs, trusted: event.isTrusted }, status);
+            };
+            
+            holdButton.addEventListener('pointerdown', event => {
+                holding = true;
+                pressedAt = Date.now();
+                status.textContent = challenge.holdMs > 0 ? 'Hold...' : '';
+                if (challenge.holdMs === 0) release(event);
+            });
+            holdButton.addEventListener('pointerup', release);
+            holdButton.addEventListener('pointerleave', release);
         }
         
-        passChallenge() {
-            this.closeChallenge();
-            this.allowAds();
-            this.logEvent('challenge_passed');
-            this.triggerEvent('trafficCopChallengePass');
+        async verifyChallenge(challenge, nonce, interaction, status) {
+            try {
+                const response = await fetch(this.config.endpoint.replace(/\/analyze$/, '/challenge/verify'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.apiKey}`
+                    },
+                    body: JSON.stringify({
+                        sessionId: this.sessionId,
+                        sessionToken: this.sessionToken,
+                        challengeId: challenge.id,
+                        signature: challenge.signature,
+                        nonce: nonce,
+                        interaction: interaction
+                    })
+                });
+                const result = await response.json();
+                
+                if (result.passed) {
+                    this.closeChallenge();
+                    this.allowAds();
+                    this.lastAction = result.action;
+                    this.verdictToken = result.verdictToken || null;
+                    this.logEvent('challenge_passed', { solveMs: result.solveMs });
+                    this.triggerEvent('trafficCopChallengePass', result);
+                    return;
+                }
+                
+                this.logEvent('challenge_failed', { reason: result.reason || result.error });
+                status.textContent = result.attemptsLeft > 0 ? 'Verification failed - please try again' : 'Verification failed';
+            } catch (error) {
+                status.textContent = 'Verification unavailable - please try again later';
+                if (this.config.debug) {
+                    console.error('Traffic Cop challenge verification failed:', error);
+                }
+            }
         }
         
         closeChallenge() {
@@ -253,7 +903,7 @@
                     });
                     
                     // Re-analyze if suspicious behavior detected
-                    this.analyzeCurrentVisitor();
+                    this.analyzeCurrentVisitor('rapid_clicking');
                 }
                 
                 lastClickTime = now;
@@ -265,7 +915,13 @@
                     hidden: document.hidden,
                     timestamp: Date.now()
                 });
+                
+                // The page may never come back; send what we have
+                if (document.hidden) this.flushEvents({ beacon: true });
             });
+            
+            window.addEventListener('pagehide', () => this.flushEvents({ beacon: true }));
+            setInterval(() => this.flushEvents(), this.config.eventFlushInterval);
         }
         
         logEvent(eventType, data = {}) {
@@ -288,6 +944,66 @@
             }
             
             localStorage.setItem('trafficCopEvents', JSON.stringify(events));
+            
+            // Queue for the server; analysis results are reduced to their verdict
+            const summary = data && data.riskScore !== undefined
+                ? { riskScore: data.riskScore, action: data.action }
+                : data;
+            this.eventQueue.push([eventType, Date.now(), summary]);
+            if (this.eventQueue.length > 500) {
+                this.eventQueue.splice(0, this.eventQueue.length - 500);
+            }
+            if (this.eventQueue.length >= this.config.eventBatchSize) {
+                this.flushEvents();
+            }
+        }
+        
+        // Send queued events as one compact batch: a base time t0 and
+        // [type, offsetMs, data] tuples. Beacons survive page unload but
+        // cannot carry headers, so the key goes in the query string.
+        async flushEvents({ beacon = false } = {}) {
+            if (this.eventQueue.length === 0 || !this.sessionToken) return;
+            
+            const queued = this.eventQueue.splice(0, this.eventQueue.length);
+            const t0 = queued[0][1];
+            const payload = JSON.stringify({
+                sessionId: this.sessionId,
+                sessionToken: this.sessionToken,
+                t0: t0,
+                events: queued.map(([type, timestamp, data]) => [type, timestamp - t0, data])
+            });
+            const endpoint = this.config.endpoint.replace(/\/analyze$/, '/events');
+            
+            if (beacon && navigator.sendBeacon) {
+                // text/plain keeps the beacon a CORS-simple request
+                const sent = navigator.sendBeacon(`${endpoint}?key=${encodeURIComponent(this.apiKey)}`,
+                    new Blob([payload], { type: 'text/plain' }));
+                if (!sent) this.eventQueue.unshift(...queued);
+                return;
+            }
+            
+            try {
+                const headers = {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.apiKey}`
+                };
+                let body = payload;
+                
+                if (window.CompressionStream) {
+                    body = await new Response(new Blob([payload]).stream()
+                        .pipeThrough(new CompressionStream('gzip'))).blob();
+                    headers['Content-Encoding'] = 'gzip';
+                }
+                
+                const response = await fetch(endpoint, { method: 'POST', keepalive: beacon, headers, body });
+                // Keep the batch for the next flush unless the server rejected it outright
+                if (!response.ok && response.status >= 500) this.eventQueue.unshift(...queued);
+            } catch (error) {
+                this.eventQueue.unshift(...queued);
+                if (this.config.debug) {
+                    console.error('Traffic Cop event flush failed:', error);
+                }
+            }
         }
         
         triggerEvent(eventName, data) {
@@ -311,6 +1027,30 @@
             localStorage.setItem('trafficCopAnalytics', JSON.stringify(stored));
         }
         
+        // The server may replace the proposed ID and signs the one it uses
+        saveSession(analysis) {
+            if (!analysis.sessionId || !analysis.sessionToken) return;
+            
+            this.sessionId = analysis.sessionId;
+            this.sessionToken = analysis.sessionToken;
+            try {
+                sessionStorage.setItem('trafficCopSession', JSON.stringify({
+                    sessionId: this.sessionId,
+                    sessionToken: this.sessionToken
+                }));
+            } catch (error) {
+                // Storage unavailable (private mode); the session lasts for this page only
+            }
+        }
+        
+        loadSession() {
+            try {
+                return JSON.parse(sessionStorage.getItem('trafficCopSession'));
+            } catch (error) {
+                return null;
+            }
+        }
+        
         generateSessionId() {
             return 'tc_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
         }
@@ -324,6 +1064,12 @@
             return JSON.parse(localStorage.getItem('trafficCopEvents') || '[]');
         }
         
+        // Signed verdict for the publisher's backend to check via /api/v1/verify;
+        // valid for a few minutes and accepted once
+        getVerdictToken() {
+            return this.verdictToken;
+        }
+        
         getStats() {
             const analytics = this.getAnalytics();
             const total = analytics.length;
@@ -353,7 +1099,7 @@
         }
         
         reanalyze() {
-            this.analyzeCurrentVisitor();
+            this.analyzeCurrentVisitor('reanalyze');
         }
     }
     
@@ -0,0 +1,87 @@
+// smtp-stand-in.js - Local SMTP server for trying out alert emails
+//
+//   npm run smtp-stand-in
+//   TRAFFIC_COP_ALLOW_PRIVATE_DESTINATIONS=true vercel dev
+//   PUT /api/v1/alerts/email {"smtp": {"host": "localhost", "port": 2525}, "recipients": [...]}
+//
+// Accepts every message and prints its headers and text part instead of delivering it.
+// STARTTLS (and so AUTH) is offered when SMTP_STAND_IN_KEY and SMTP_STAND_IN_CERT name
+// a PEM key and certificate; the client refuses to send credentials without TLS.
+const net = require('net');
+const tls = require('tls');
+const fs = require('fs');
+
+const PORT = parseInt(process.env.SMTP_STAND_IN_PORT, 10) || 2525;
+const TLS_OPTIONS = process.env.SMTP_STAND_IN_KEY && process.env.SMTP_STAND_IN_CERT ? {
+    key: fs.readFileSync(process.env.SMTP_STAND_IN_KEY),
+    cert: fs.readFileSync(process.env.SMTP_STAND_IN_CERT)
+} : null;
+
+// Headers plus the decoded text/plain part of a message built by buildMimeMessage
+function describeMessage(message) {
+    const [headers] = message.split('\r\n\r\n');
+    const textPart = message.match(/Content-Type: text\/plain[^\r]*\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)\r\n--/);
+    const text = textPart ? Buffer.from(textPart[1].replace(/\s/g, ''), 'base64').toString('utf8') : '(no text part)';
+    return `${headers}\n\n${text}`;
+}
+
+function handleConnection(rawSocket) {
+    let socket = rawSocket;
+    let buffer = '';
+    let message = null;
+    let encrypted = false;
+    const reply = line => socket.write(line + '\r\n');
+    
+    const onData = chunk => {
+        buffer += chunk.toString();
+        let end;
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            
+            if (message !== null) {
+                if (line === '.') {
+                    console.log(`📧 Message received\n${describeMessage(message)}\n`);
+                    message = null;
+                    reply('250 Queued');
+                } else {
+                    message += line.replace(/^\.\./, '.') + '\r\n';
+                }
+                continue;
+            }
+            
+            const command = line.split(' ')[0].toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                const extensions = [TLS_OPTIONS && !encrypted ? 'STARTTLS' : null, encrypted ? 'AUTH PLAIN' : null].filter(Boolean);
+                socket.write(['smtp-stand-in', ...extensions].map((entry, i, all) => `250${i < all.length - 1 ? '-' : ' '}${entry}`).join('\r\n') + '\r\n');
+            } else if (command === 'STARTTLS' && TLS_OPTIONS && !encrypted) {
+                reply('220 Ready to start TLS');
+                rawSocket.removeListener('data', onData);
+                socket = new tls.TLSSocket(rawSocket, { isServer: true, ...TLS_OPTIONS });
+                socket.on('data', onData);
+                encrypted = true;
+            } else if (command === 'AUTH') {
+                reply(encrypted ? '235 Authenticated' : '530 Must issue STARTTLS first');
+            } else if (command === 'MAIL' || command === 'RCPT') {
+                console.log(`   ${line}`);
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                message = '';
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    };
+    
+    rawSocket.on('data', onData);
+    rawSocket.on('error', error => console.warn(`⚠️ Connection error: ${error.message}`));
+    reply('220 smtp-stand-in ready');
+}
+
+net.createServer(handleConnection).listen(PORT, () => {
+    console.log(`📮 SMTP stand-in listening on port ${PORT}${TLS_OPTIONS ? ' (STARTTLS enabled)' : ''}`);
+});